@@ -0,0 +1,335 @@
+import type { ManagerOptions, Socket, SocketOptions } from "socket.io-client";
+
+export type RoomStatus = "lobby" | "in_game" | "finished";
+export type Role = "player" | "spectator";
+export type GameMode = "classic" | "anagram" | "hangman";
+export type BotDifficulty = "easy" | "medium" | "hard";
+export type ConnectionState = "idle" | "connecting" | "connected" | "reconnecting" | "disconnected";
+export type GameEndReason =
+  | "time_up"
+  | "host_ended"
+  | "admin_ended"
+  | "word_pool_exhausted"
+  | "all_players_left"
+  | "last_player_standing";
+export type ErrorCode =
+  | "INVALID_PAYLOAD"
+  | "INVALID_NICKNAME"
+  | "INVALID_ROOM_CODE"
+  | "INVALID_MESSAGE"
+  | "INVALID_SETTINGS"
+  | "GAME_PAUSED"
+  | "SERVER_BUSY"
+  | "ROOM_NOT_FOUND"
+  | "ROOM_UNAVAILABLE"
+  | "ROOM_FULL"
+  | "SPECTATORS_FULL"
+  | "NICKNAME_TAKEN"
+  | "PROFILE_IN_ROOM"
+  | "BANNED"
+  | "NOT_HOST"
+  | "NOT_IN_LOBBY"
+  | "GAME_IN_PROGRESS"
+  | "GAME_NOT_IN_PROGRESS"
+  | "GAME_NOT_FINISHED"
+  | "SESSION_INVALID"
+  | "SESSION_EXPIRED"
+  | "PLAYER_NOT_FOUND"
+  | "PLAYER_DISCONNECTED"
+  | "SPECTATOR_NOT_FOUND"
+  | "SPECTATOR_DISCONNECTED"
+  | "SPECTATOR_CANNOT_GUESS"
+  | "WRONG_GAME_MODE"
+  | "LETTER_ALREADY_GUESSED"
+  | "ALREADY_SOLVED"
+  | "CANNOT_TARGET_SELF"
+  | "CANNOT_TARGET_BOT"
+  | "TEAM_NOT_FOUND"
+  | "RATE_LIMITED"
+  | "ANSWER_BLOCKED"
+  | "WORDS_UNAVAILABLE"
+  | "NOT_ENOUGH_WORDS"
+  | "NOT_ENOUGH_PLAYERS"
+  | "INTERNAL_ERROR";
+/** Codes produced by the client itself rather than the server. */
+export type ClientErrorCode = "TIMEOUT" | "CONNECTION_FAILED";
+
+export interface WorddashError extends Error {
+  code: ErrorCode | ClientErrorCode;
+}
+
+export interface RoomSettings {
+  maxPlayers: number;
+  gameDurationMs: number;
+  roundDurationMs: number;
+  roundTransitionDelayMs: number;
+  correctGuessPoints: number;
+  revealIntervalMs: number;
+  revealPenaltyPoints: number;
+  gameMode: GameMode;
+  scoringMode: "first_guess" | "speed";
+  teamCount: number;
+  /** Knock players out every `eliminationInterval` rounds instead of playing against the clock. */
+  elimination: boolean;
+  eliminationInterval: number;
+  /**
+   * `lowest_score` knocks out the lowest scorer, with fewer words solved this game breaking a tie
+   * (no one goes out while the tie stands);
+   * `missed_word` knocks out everyone who solved none of the rounds since the last knockout.
+   */
+  eliminationRule: "lowest_score" | "missed_word";
+  categories: string[];
+  minDifficulty: number;
+  maxDifficulty: number;
+  minWordLength: number;
+  maxWordLength: number;
+  locale: string;
+  accentInsensitive: boolean;
+  closeGuessDistance: number;
+  typoTolerance: boolean;
+}
+
+export interface Player {
+  id: string;
+  profileId: string | null;
+  nickname: string;
+  score: number;
+  streak: number;
+  teamId: string | null;
+  connected: boolean;
+  isHost: boolean;
+  isBot: boolean;
+}
+
+export interface Team {
+  id: string;
+  name: string;
+  score: number;
+  playerIds: string[];
+}
+
+export interface Spectator {
+  id: string;
+  nickname: string;
+}
+
+export interface ChatMessage {
+  id: string;
+  senderId: string;
+  nickname: string;
+  role: Role;
+  text: string;
+  sentAt: number;
+}
+
+export interface Solver {
+  playerId: string;
+  nickname: string;
+  teamId?: string | null;
+  points: number;
+  order: number;
+  elapsedMs?: number;
+}
+
+export interface RoundState {
+  /** The prompt for the room's `gameMode`: a letter mask in classic and hangman, shuffled letters in anagram. */
+  display: string;
+  hint: string;
+  points: number;
+  /** Server clock timestamp; compare with `client.serverNow()`. */
+  roundEndsAt: number;
+  revealCount: number;
+  solvers: Solver[];
+  /** Hangman only: missed letters, in the order they were guessed. */
+  wrongLetters: string[];
+}
+
+export interface LetterGuess {
+  letter: string;
+  playerId: string;
+  nickname: string;
+  hits: number;
+  points: number;
+}
+
+export interface RoundSummary {
+  word: string;
+  solvers: Solver[];
+  pointsAwarded: number;
+  reason: string;
+  /** Hangman only: every letter guessed during the round, in order. */
+  letterGuesses?: LetterGuess[];
+}
+
+export interface Elimination {
+  playerId: string;
+  nickname: string;
+  score: number;
+  /** Number of rounds played when the player was knocked out. */
+  round: number;
+}
+
+export interface GameResult {
+  gameId: string;
+  reason: GameEndReason;
+  /** In elimination games: survivors by score, then knocked-out players from last to first out. */
+  rankings: Player[];
+  winners: string[];
+  teamRankings: Team[];
+  winningTeams: string[];
+  reviewRows: RoundSummary[];
+  /** Knockouts in the order they happened; empty outside elimination games. */
+  eliminations: Elimination[];
+}
+
+export interface RoomStatePayload {
+  roomCode: string;
+  status: RoomStatus;
+  settings: RoomSettings;
+  players: Player[];
+  teams: Team[];
+  spectators: Spectator[];
+}
+
+export interface RoomSnapshot extends RoomStatePayload {
+  chatHistory: ChatMessage[];
+  round: (Omit<RoundState, "revealCount" | "solvers" | "wrongLetters"> & { remainingMs: number; wrongLetters?: string[] }) | null;
+  gameEndsAt: number | null;
+  gameRemainingMs: number | null;
+}
+
+export interface ClientState {
+  connection: ConnectionState;
+  roomCode: string | null;
+  role: Role | null;
+  playerId: string | null;
+  spectatorId: string | null;
+  status: RoomStatus | null;
+  settings: RoomSettings | null;
+  players: Player[];
+  teams: Team[];
+  spectators: Spectator[];
+  chatHistory: ChatMessage[];
+  round: RoundState | null;
+  gameEndsAt: number | null;
+  lastRound: (RoundSummary & { winnerPlayerId: string | null; winnerNickname: string | null }) | null;
+  result: GameResult | null;
+}
+
+export type GuessResult =
+  | { status: "correct"; word: string; points: number; typo: boolean }
+  | { status: "close" | "incorrect" | "already_solved" };
+
+export interface ClientEvents {
+  state: ClientState;
+  sessionLost: { code: ErrorCode | "KICKED" | "ROOM_CLOSED"; message: string };
+  "room:state": RoomStatePayload;
+  "room:chat": ChatMessage;
+  "room:kicked": { roomCode: string; reason: string };
+  "room:banned": { roomCode: string; reason: string };
+  "room:closed": { roomCode: string; reason: string };
+  "room:promoted": { roomCode: string; playerId: string; sessionToken: string };
+  /** Knocked out of an elimination game: watching as a spectator, with the same id, until it ends. */
+  "room:spectating": { roomCode: string; spectatorId: string; sessionToken: string };
+  "room:hostAssigned": { roomCode: string };
+  /** Both are null in elimination games, which have no game clock. */
+  "game:started": { gameDurationMs: number | null; gameEndsAt: number | null };
+  "game:round": { display: string; hint: string; points: number; roundDurationMs: number; roundEndsAt: number };
+  "game:reveal": { display: string; revealCount: number; points: number };
+  "game:tick": { remainingMs: number; remainingSeconds: number };
+  "game:letter": {
+    playerId: string;
+    nickname: string;
+    letter: string;
+    hits: number;
+    display: string;
+    wrongLetters: string[];
+    points: number;
+  };
+  "game:eliminated": {
+    players: { playerId: string; nickname: string; score: number }[];
+    round: number;
+    remainingPlayers: number;
+    nextRoundDurationMs: number;
+  };
+  "game:solved": { playerId: string; nickname: string; order: number; points: number };
+  "game:guessResult": GuessResult;
+  "game:roundEnded": RoundSummary & { winnerPlayerId: string | null; winnerNickname: string | null };
+  "game:ended": GameResult;
+  "server:error": { code: ErrorCode; message: string };
+  "server:restarting": { reconnectWithinMs: number };
+}
+
+export interface StorageLike {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}
+
+export interface WorddashClientOptions {
+  url: string;
+  /** Keeps session and guest profile tokens across page loads, e.g. `localStorage`. */
+  storage?: StorageLike | null;
+  ackTimeoutMs?: number;
+  socketOptions?: Partial<ManagerOptions & SocketOptions>;
+}
+
+export interface SessionResponse {
+  ok: true;
+  roomCode: string;
+  playerId: string;
+  sessionToken: string;
+  profileId: string;
+  profileToken: string;
+}
+
+export interface WorddashClient {
+  on<E extends keyof ClientEvents>(event: E, listener: (payload: ClientEvents[E]) => void): () => void;
+  once<E extends keyof ClientEvents>(event: E, listener: (payload: ClientEvents[E]) => void): () => void;
+  off<E extends keyof ClientEvents>(event: E, listener: (payload: ClientEvents[E]) => void): void;
+  readonly state: ClientState;
+  readonly socket: Socket;
+  /** Current time on the server clock, in epoch milliseconds. */
+  serverNow(): number;
+  getRoundRemainingMs(): number;
+  getGameRemainingMs(): number;
+  /** Connects, syncs the clock and resumes a stored session if there is one. */
+  connect(): Promise<ClientState>;
+  disconnect(): void;
+  /** Re-estimates the server clock offset; returns it in milliseconds. */
+  syncClock(): Promise<number>;
+  resume(): Promise<ClientState>;
+  forgetSession(): void;
+  createRoom(nickname: string): Promise<SessionResponse>;
+  joinRoom(
+    roomCode: string,
+    nickname: string,
+    options?: { asSpectator?: boolean }
+  ): Promise<
+    | (SessionResponse & { chatHistory: ChatMessage[] })
+    | (RoomSnapshot & { ok: true; role: "spectator"; spectatorId: string; sessionToken: string; profileId: string; profileToken: string })
+  >;
+  updateSettings(settings: Partial<RoomSettings>): Promise<{ ok: true; settings: RoomSettings }>;
+  chooseTeam(teamId: string): Promise<{ ok: true; teamId: string }>;
+  promoteSpectator(spectatorId: string): Promise<{ ok: true; playerId: string }>;
+  /** Removes a player or spectator. Their session token stops working, but they can join again. */
+  kick(playerId: string): Promise<{ ok: true }>;
+  /**
+   * Kicks a member and keeps them out of the room. The ban holds per profile: it covers their
+   * session, current connection and profile token, but not a new connection that joins without one.
+   */
+  ban(playerId: string): Promise<{ ok: true }>;
+  transferHost(playerId: string): Promise<{ ok: true; hostPlayerId: string }>;
+  /** Lobby only. Bots take a player seat until `playAgain` clears them out; remove one earlier with `kick`. */
+  addBot(difficulty?: BotDifficulty): Promise<{ ok: true; playerId: string }>;
+  startGame(): Promise<{ ok: true }>;
+  endGame(): Promise<{ ok: true }>;
+  playAgain(): Promise<{ ok: true }>;
+  chat(text: string): Promise<{ ok: true; messageId?: string; convertedToGuess?: boolean }>;
+  /** Fire-and-forget; listen for `game:guessResult`. */
+  guess(guess: string): void;
+  /** Hangman only. Each player can guess one letter every few seconds. */
+  guessLetter(letter: string): Promise<{ ok: true; letter: string; hits: number; points: number }>;
+}
+
+export function createWorddashClient(options: WorddashClientOptions): WorddashClient;
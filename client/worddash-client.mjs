@@ -0,0 +1,415 @@
+import { io } from "socket.io-client";
+
+const ACK_TIMEOUT_MS = 10_000;
+const CLOCK_SYNC_SAMPLES = 5;
+const CHAT_HISTORY_LIMIT = 50;
+const SESSION_STORAGE_KEY = "worddash:sessionToken";
+const PROFILE_STORAGE_KEY = "worddash:profileToken";
+// Resume failures that mean the session is gone for good, not just unreachable.
+const SESSION_LOST_CODES = new Set(["SESSION_INVALID", "SESSION_EXPIRED", "ROOM_NOT_FOUND", "BANNED"]);
+const SERVER_EVENTS = [
+  "room:state",
+  "room:chat",
+  "room:kicked",
+  "room:banned",
+  "room:closed",
+  "room:promoted",
+  "room:spectating",
+  "room:hostAssigned",
+  "game:started",
+  "game:round",
+  "game:reveal",
+  "game:tick",
+  "game:solved",
+  "game:eliminated",
+  "game:guessResult",
+  "game:letter",
+  "game:roundEnded",
+  "game:ended",
+  "server:error",
+  "server:restarting"
+];
+
+function clientError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function createEmitter() {
+  const listeners = new Map();
+
+  function off(event, listener) {
+    listeners.get(event)?.delete(listener);
+  }
+
+  function on(event, listener) {
+    if (!listeners.has(event)) {
+      listeners.set(event, new Set());
+    }
+    listeners.get(event).add(listener);
+    return () => off(event, listener);
+  }
+
+  return {
+    on,
+    once(event, listener) {
+      const unsubscribe = on(event, (payload) => {
+        unsubscribe();
+        listener(payload);
+      });
+      return unsubscribe;
+    },
+    off,
+    emit(event, payload) {
+      for (const listener of [...(listeners.get(event) ?? [])]) {
+        listener(payload);
+      }
+    }
+  };
+}
+
+function initialRoomState() {
+  return {
+    roomCode: null,
+    role: null,
+    playerId: null,
+    spectatorId: null,
+    status: null,
+    settings: null,
+    players: [],
+    teams: [],
+    spectators: [],
+    chatHistory: [],
+    round: null,
+    gameEndsAt: null,
+    lastRound: null,
+    result: null
+  };
+}
+
+export function createWorddashClient({
+  url,
+  storage = null,
+  ackTimeoutMs = ACK_TIMEOUT_MS,
+  socketOptions = {}
+} = {}) {
+  const emitter = createEmitter();
+  const socket = io(url, { autoConnect: false, ...socketOptions });
+  let state = { connection: "idle", ...initialRoomState() };
+  let clockOffsetMs = 0;
+  let sessionToken = storage?.getItem(SESSION_STORAGE_KEY) ?? null;
+  let profileToken = storage?.getItem(PROFILE_STORAGE_KEY) ?? null;
+
+  function setState(patch) {
+    state = { ...state, ...patch };
+    emitter.emit("state", state);
+  }
+
+  function saveTokens(tokens) {
+    if (tokens.sessionToken !== undefined) {
+      sessionToken = tokens.sessionToken;
+      if (sessionToken) storage?.setItem(SESSION_STORAGE_KEY, sessionToken);
+      else storage?.removeItem(SESSION_STORAGE_KEY);
+    }
+    if (tokens.profileToken) {
+      profileToken = tokens.profileToken;
+      storage?.setItem(PROFILE_STORAGE_KEY, profileToken);
+    }
+  }
+
+  function forgetSession() {
+    saveTokens({ sessionToken: null });
+    setState(initialRoomState());
+  }
+
+  function request(event, payload = {}) {
+    return new Promise((resolve, reject) => {
+      socket.timeout(ackTimeoutMs).emit(event, payload, (timeoutError, response) => {
+        if (timeoutError) {
+          reject(clientError("TIMEOUT", `No answer to ${event} within ${ackTimeoutMs} ms.`));
+          return;
+        }
+        if (!response?.ok) {
+          reject(clientError(response?.code ?? "INTERNAL_ERROR", response?.message ?? `${event} failed.`));
+          return;
+        }
+        resolve(response);
+      });
+    });
+  }
+
+  // A profile token the server no longer accepts, e.g. after its secret
+  // changed, is dropped and the request sent again to start a new profile.
+  async function requestWithProfile(event, payload) {
+    try {
+      return await request(event, { ...payload, profileToken: profileToken ?? undefined });
+    } catch (error) {
+      if (error.code !== "SESSION_INVALID" || !profileToken) throw error;
+      profileToken = null;
+      storage?.removeItem(PROFILE_STORAGE_KEY);
+      return request(event, payload);
+    }
+  }
+
+  function serverNow() {
+    return Date.now() + clockOffsetMs;
+  }
+
+  // Keeps the sample with the shortest round trip; its midpoint is the best
+  // estimate of when the server read its clock.
+  async function syncClock() {
+    let best = null;
+    for (let sample = 0; sample < CLOCK_SYNC_SAMPLES; sample += 1) {
+      const sentAt = Date.now();
+      const { serverTime } = await request("clock:sync");
+      const receivedAt = Date.now();
+      const roundTripMs = receivedAt - sentAt;
+      if (!best || roundTripMs < best.roundTripMs) {
+        best = { roundTripMs, offsetMs: serverTime + roundTripMs / 2 - receivedAt };
+      }
+    }
+    clockOffsetMs = best.offsetMs;
+    return clockOffsetMs;
+  }
+
+  function applySnapshot(snapshot) {
+    setState({
+      roomCode: snapshot.roomCode,
+      status: snapshot.status,
+      settings: snapshot.settings,
+      players: snapshot.players,
+      teams: snapshot.teams,
+      spectators: snapshot.spectators,
+      chatHistory: snapshot.chatHistory ?? state.chatHistory,
+      round: snapshot.round ? { revealCount: 0, solvers: [], wrongLetters: [], ...snapshot.round } : null,
+      gameEndsAt: snapshot.gameEndsAt
+    });
+  }
+
+  async function resume() {
+    if (!sessionToken) {
+      throw clientError("SESSION_INVALID", "There is no session to resume.");
+    }
+    try {
+      const response = await request("room:resume", { sessionToken });
+      setState({
+        role: response.role,
+        playerId: response.playerId ?? null,
+        spectatorId: response.spectatorId ?? null
+      });
+      applySnapshot(response);
+      return state;
+    } catch (error) {
+      if (SESSION_LOST_CODES.has(error.code)) {
+        forgetSession();
+        emitter.emit("sessionLost", { code: error.code, message: error.message });
+      }
+      throw error;
+    }
+  }
+
+  const serverHandlers = {
+    "room:state": (payload) => {
+      setState({
+        roomCode: payload.roomCode,
+        status: payload.status,
+        settings: payload.settings,
+        players: payload.players,
+        teams: payload.teams,
+        spectators: payload.spectators
+      });
+    },
+    "room:chat": (message) => {
+      setState({ chatHistory: [...state.chatHistory, message].slice(-CHAT_HISTORY_LIMIT) });
+    },
+    "room:kicked": (payload) => {
+      forgetSession();
+      emitter.emit("sessionLost", { code: "KICKED", message: payload.reason });
+    },
+    "room:banned": (payload) => {
+      forgetSession();
+      emitter.emit("sessionLost", { code: "BANNED", message: payload.reason });
+    },
+    "room:closed": (payload) => {
+      forgetSession();
+      emitter.emit("sessionLost", { code: "ROOM_CLOSED", message: payload.reason });
+    },
+    "room:promoted": (payload) => {
+      saveTokens({ sessionToken: payload.sessionToken });
+      setState({ role: "player", playerId: payload.playerId, spectatorId: null });
+    },
+    "room:spectating": (payload) => {
+      saveTokens({ sessionToken: payload.sessionToken });
+      setState({ role: "spectator", playerId: null, spectatorId: payload.spectatorId });
+    },
+    "game:started": (payload) => {
+      setState({ status: "in_game", gameEndsAt: payload.gameEndsAt, lastRound: null, result: null });
+    },
+    "game:round": (payload) => {
+      setState({
+        round: {
+          display: payload.display,
+          hint: payload.hint,
+          points: payload.points,
+          roundEndsAt: payload.roundEndsAt,
+          revealCount: 0,
+          solvers: [],
+          wrongLetters: []
+        }
+      });
+    },
+    "game:reveal": (payload) => {
+      if (!state.round) return;
+      setState({ round: { ...state.round, ...payload } });
+    },
+    "game:tick": (payload) => {
+      if (state.gameEndsAt === null) {
+        setState({ gameEndsAt: serverNow() + payload.remainingMs });
+      }
+    },
+    "game:letter": (payload) => {
+      if (!state.round) return;
+      setState({
+        round: {
+          ...state.round,
+          display: payload.display,
+          points: payload.points,
+          wrongLetters: payload.wrongLetters
+        }
+      });
+    },
+    "game:solved": (payload) => {
+      if (!state.round) return;
+      setState({ round: { ...state.round, solvers: [...state.round.solvers, payload] } });
+    },
+    "game:roundEnded": (summary) => {
+      setState({ round: null, lastRound: summary });
+    },
+    "game:ended": (result) => {
+      setState({ status: "finished", round: null, gameEndsAt: null, result });
+    }
+  };
+
+  for (const event of SERVER_EVENTS) {
+    socket.on(event, (payload) => {
+      serverHandlers[event]?.(payload);
+      emitter.emit(event, payload);
+    });
+  }
+
+  socket.on("connect", () => {
+    const reconnecting = state.connection === "reconnecting";
+    setState({ connection: "connected" });
+    if (!reconnecting) return;
+    syncClock().catch(() => {});
+    if (sessionToken) {
+      resume().catch(() => {});
+    }
+  });
+  socket.on("disconnect", (reason) => {
+    // The server and the caller end connections on purpose; anything else is
+    // retried by socket.io, and the session is resumed once it reconnects.
+    const manual = reason === "io client disconnect";
+    setState({ connection: manual ? "disconnected" : "reconnecting" });
+  });
+  socket.io.on("reconnect_failed", () => {
+    setState({ connection: "disconnected" });
+  });
+
+  return {
+    on: emitter.on,
+    once: emitter.once,
+    off: emitter.off,
+    get state() {
+      return state;
+    },
+    get socket() {
+      return socket;
+    },
+    serverNow,
+    getRoundRemainingMs() {
+      return state.round ? Math.max(0, state.round.roundEndsAt - serverNow()) : 0;
+    },
+    getGameRemainingMs() {
+      return state.gameEndsAt ? Math.max(0, state.gameEndsAt - serverNow()) : 0;
+    },
+    async connect() {
+      if (!socket.connected) {
+        setState({ connection: "connecting" });
+        await new Promise((resolve, reject) => {
+          const cleanup = () => {
+            socket.off("connect", onConnect);
+            socket.off("connect_error", onError);
+          };
+          const onConnect = () => {
+            cleanup();
+            resolve();
+          };
+          const onError = (error) => {
+            cleanup();
+            setState({ connection: "disconnected" });
+            reject(clientError("CONNECTION_FAILED", error.message));
+          };
+          socket.on("connect", onConnect);
+          socket.on("connect_error", onError);
+          socket.connect();
+        });
+      }
+      await syncClock();
+      if (sessionToken && !state.roomCode) {
+        await resume().catch(() => null);
+      }
+      return state;
+    },
+    disconnect() {
+      socket.disconnect();
+    },
+    syncClock,
+    resume,
+    forgetSession,
+    async createRoom(nickname) {
+      const response = await requestWithProfile("room:create", { nickname });
+      saveTokens(response);
+      setState({
+        ...initialRoomState(),
+        roomCode: response.roomCode,
+        role: "player",
+        playerId: response.playerId
+      });
+      return response;
+    },
+    async joinRoom(roomCode, nickname, { asSpectator = false } = {}) {
+      const response = await requestWithProfile("room:join", { roomCode, nickname, asSpectator });
+      saveTokens(response);
+      setState({
+        ...initialRoomState(),
+        roomCode: response.roomCode,
+        role: response.role ?? "player",
+        playerId: response.playerId ?? null,
+        spectatorId: response.spectatorId ?? null,
+        chatHistory: response.chatHistory ?? []
+      });
+      if (response.role === "spectator") {
+        applySnapshot(response);
+      }
+      return response;
+    },
+    updateSettings: (settings) => request("room:updateSettings", { settings }),
+    chooseTeam: (teamId) => request("room:chooseTeam", { teamId }),
+    promoteSpectator: (spectatorId) => request("room:promoteSpectator", { spectatorId }),
+    kick: (playerId) => request("room:kick", { playerId }),
+    ban: (playerId) => request("room:ban", { playerId }),
+    transferHost: (playerId) => request("room:transferHost", { playerId }),
+    addBot: (difficulty) => request("room:addBot", { difficulty }),
+    startGame: () => request("game:start"),
+    endGame: () => request("game:end"),
+    playAgain: () => request("game:playAgain"),
+    chat: (text) => request("room:chat", { text }),
+    // Guesses have no ack; the verdict arrives as game:guessResult.
+    guess(guess) {
+      socket.emit("game:guess", { guess });
+    },
+    guessLetter: (letter) => request("game:letter", { letter })
+  };
+}
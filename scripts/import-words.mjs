@@ -4,19 +4,17 @@ import process from "node:process";
 import { fileURLToPath } from "node:url";
 import "dotenv/config";
 import { createClient } from "@supabase/supabase-js";
+import { DEFAULT_LOCALE, normalizeLocale, parseWordsText } from "../src/words-format.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const repoRoot = path.resolve(__dirname, "..");
 const defaultWordsPath = path.resolve(repoRoot, "..", "words.txt");
 
-function normalizeSpaces(value) {
-  return value.replace(/\s+/g, " ").trim();
-}
-
 function parseArgs(argv) {
   const options = {
-    file: defaultWordsPath
+    file: defaultWordsPath,
+    locale: DEFAULT_LOCALE
   };
 
   for (let i = 0; i < argv.length; i += 1) {
@@ -24,79 +22,20 @@ function parseArgs(argv) {
     if (arg === "--file" && argv[i + 1]) {
       options.file = path.resolve(process.cwd(), argv[i + 1]);
       i += 1;
+    } else if (arg === "--locale" && argv[i + 1]) {
+      options.locale = normalizeLocale(argv[i + 1]);
+      if (!options.locale) {
+        throw new Error(`Invalid --locale value "${argv[i + 1]}".`);
+      }
+      i += 1;
     }
   }
 
   return options;
 }
 
-function parseWordsText(content) {
-  const lines = content.split(/\r?\n/);
-  const records = [];
-  const errors = [];
-  let pendingWord = null;
-  let pendingWordLine = 0;
-
-  for (let index = 0; index < lines.length; index += 1) {
-    const lineNo = index + 1;
-    const trimmed = lines[index].trim();
-
-    if (!trimmed) {
-      continue;
-    }
-
-    if (trimmed.startsWith("Word-")) {
-      if (pendingWord !== null) {
-        errors.push(
-          `Line ${pendingWordLine}: missing Hint- for previous word "${pendingWord}"`
-        );
-      }
-
-      pendingWord = normalizeSpaces(trimmed.slice("Word-".length));
-      pendingWordLine = lineNo;
-
-      if (!pendingWord) {
-        errors.push(`Line ${lineNo}: Word- value is empty`);
-        pendingWord = null;
-      }
-
-      continue;
-    }
-
-    if (trimmed.startsWith("Hint-")) {
-      if (pendingWord === null) {
-        errors.push(`Line ${lineNo}: Hint- appears before Word-`);
-        continue;
-      }
-
-      const rawHint = normalizeSpaces(trimmed.slice("Hint-".length));
-      if (!rawHint) {
-        errors.push(`Line ${lineNo}: Hint- value is empty for word "${pendingWord}"`);
-        pendingWord = null;
-        pendingWordLine = 0;
-        continue;
-      }
-
-      const normalizedWord = normalizeSpaces(pendingWord).toLowerCase();
-      records.push({
-        word: normalizedWord,
-        hint: rawHint,
-        length: normalizedWord.length
-      });
-
-      pendingWord = null;
-      pendingWordLine = 0;
-      continue;
-    }
-
-    errors.push(`Line ${lineNo}: unsupported format "${trimmed}"`);
-  }
-
-  if (pendingWord !== null) {
-    errors.push(`Line ${pendingWordLine}: missing Hint- for word "${pendingWord}"`);
-  }
-
-  return { records, errors };
+function recordKey(record) {
+  return `${record.locale}:${record.word}`;
 }
 
 function mergeDuplicates(records) {
@@ -104,10 +43,11 @@ function mergeDuplicates(records) {
   let duplicateCount = 0;
 
   for (const record of records) {
-    if (merged.has(record.word)) {
+    const key = recordKey(record);
+    if (merged.has(key)) {
       duplicateCount += 1;
     }
-    merged.set(record.word, record);
+    merged.set(key, record);
   }
 
   return {
@@ -117,7 +57,7 @@ function mergeDuplicates(records) {
 }
 
 async function main() {
-  const { file } = parseArgs(process.argv.slice(2));
+  const { file, locale } = parseArgs(process.argv.slice(2));
   const supabaseUrl = process.env.SUPABASE_URL;
   const supabaseSecretKey =
     process.env.SUPABASE_SECRET_KEY ?? process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -142,7 +82,9 @@ async function main() {
     process.exit(1);
   }
 
-  const { uniqueRecords, duplicateCount } = mergeDuplicates(parsed.records);
+  const { uniqueRecords, duplicateCount } = mergeDuplicates(
+    parsed.records.map((record) => ({ ...record, locale: record.locale ?? locale }))
+  );
   const words = uniqueRecords.map((item) => item.word);
 
   const supabase = createClient(supabaseUrl, supabaseSecretKey);
@@ -150,28 +92,33 @@ async function main() {
 
   const { data: existingRows, error: existingError } = await db
     .from("words")
-    .select("word,hint,length")
+    .select("word,hint,length,category,difficulty,locale")
     .in("word", words);
 
   if (existingError) {
     throw new Error(`Failed reading existing rows: ${existingError.message}`);
   }
 
-  const existingMap = new Map(existingRows.map((row) => [row.word, row]));
+  const existingMap = new Map(existingRows.map((row) => [recordKey(row), row]));
   const toUpsert = [];
   let inserted = 0;
   let updated = 0;
   let skipped = 0;
 
   for (const record of uniqueRecords) {
-    const current = existingMap.get(record.word);
+    const current = existingMap.get(recordKey(record));
     if (!current) {
       toUpsert.push(record);
       inserted += 1;
       continue;
     }
 
-    if (current.hint === record.hint && current.length === record.length) {
+    if (
+      current.hint === record.hint &&
+      current.length === record.length &&
+      current.category === record.category &&
+      current.difficulty === record.difficulty
+    ) {
       skipped += 1;
       continue;
     }
@@ -182,7 +129,7 @@ async function main() {
 
   if (toUpsert.length > 0) {
     const { error: upsertError } = await db.from("words").upsert(toUpsert, {
-      onConflict: "word",
+      onConflict: "word,locale",
       ignoreDuplicates: false
     });
     if (upsertError) {
@@ -193,6 +140,7 @@ async function main() {
   const failed = 0;
   console.log("Word import report");
   console.log(`- source_file: ${file}`);
+  console.log(`- default_locale: ${locale}`);
   console.log(`- parsed_records: ${parsed.records.length}`);
   console.log(`- duplicate_records_in_file: ${duplicateCount}`);
   console.log(`- unique_records: ${uniqueRecords.length}`);
@@ -0,0 +1,107 @@
+import crypto from "node:crypto";
+import express from "express";
+
+function tokensMatch(expected, provided) {
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(provided);
+  return (
+    expectedBuffer.length === providedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, providedBuffer)
+  );
+}
+
+function readBearerToken(req) {
+  const header = String(req.get("authorization") ?? "");
+  return header.startsWith("Bearer ") ? header.slice("Bearer ".length).trim() : "";
+}
+
+// Routes for live operations. Room access and runtime switches are injected by
+// the server so this module never touches the rooms Map directly.
+export function createAdminRouter({ adminToken, auditLog, rooms, runtime }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!adminToken) {
+      res.status(503).json({ ok: false, error: "Admin API is disabled. Set ADMIN_TOKEN." });
+      return;
+    }
+    if (!tokensMatch(adminToken, readBearerToken(req))) {
+      auditLog.record({ action: "auth_failed", path: req.originalUrl, ip: req.ip });
+      res.status(401).json({ ok: false, error: "Invalid admin token." });
+      return;
+    }
+    next();
+  });
+
+  function audited(action, handler) {
+    return async (req, res) => {
+      const entry = { action, params: req.params, body: req.body ?? null, ip: req.ip };
+      try {
+        const result = await handler(req);
+        auditLog.record({ ...entry, outcome: "ok" });
+        res.json({ ok: true, ...result });
+      } catch (error) {
+        auditLog.record({ ...entry, outcome: "error", error: error.message });
+        res.status(error.status ?? 400).json({ ok: false, error: error.message });
+      }
+    };
+  }
+
+  router.get(
+    "/rooms",
+    audited("list_rooms", async () => ({ rooms: await rooms.list() }))
+  );
+
+  router.get(
+    "/rooms/:code",
+    audited("inspect_room", async (req) => ({ room: await rooms.inspect(req.params.code) }))
+  );
+
+  router.post(
+    "/rooms/:code/end",
+    audited("end_game", async (req) => ({ room: await rooms.endGame(req.params.code) }))
+  );
+
+  router.delete(
+    "/rooms/:code",
+    audited("close_room", async (req) => {
+      await rooms.close(req.params.code);
+      return {};
+    })
+  );
+
+  router.post(
+    "/rooms/:code/players/:playerId/kick",
+    audited("kick_player", async (req) => ({
+      room: await rooms.kickPlayer(req.params.code, req.params.playerId)
+    }))
+  );
+
+  router.post(
+    "/pause",
+    audited("pause_games", () => ({ runtime: runtime.setGameEnabled(false) }))
+  );
+
+  router.post(
+    "/unpause",
+    audited("unpause_games", () => ({ runtime: runtime.setGameEnabled(true) }))
+  );
+
+  router.put(
+    "/limits",
+    audited("update_limits", (req) => ({
+      runtime: runtime.setMaxActiveRooms(req.body?.maxActiveRooms)
+    }))
+  );
+
+  router.get("/runtime", (_req, res) => {
+    res.json({ ok: true, runtime: runtime.getState() });
+  });
+
+  router.get("/audit", (req, res) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    res.json({ ok: true, entries: auditLog.listRecent(limit) });
+  });
+
+  return router;
+}
@@ -0,0 +1,35 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+
+const RECENT_ENTRIES_LIMIT = 200;
+
+// Append-only JSON-lines log for admin actions. Recent entries are also kept
+// in memory so they can be read back without touching the file.
+export function createAuditLog({
+  filePath = process.env.ADMIN_AUDIT_LOG ?? "admin-audit.log",
+  logger
+} = {}) {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  const recent = [];
+  let pendingWrite = Promise.resolve();
+
+  return {
+    record(entry) {
+      const line = { at: new Date().toISOString(), ...entry };
+      recent.push(line);
+      if (recent.length > RECENT_ENTRIES_LIMIT) {
+        recent.shift();
+      }
+      pendingWrite = pendingWrite
+        .then(() => fs.appendFile(resolvedPath, `${JSON.stringify(line)}\n`, "utf8"))
+        .catch((error) => {
+          logger?.error("admin.audit_write_failed", { path: resolvedPath, error: error.message });
+        });
+      return line;
+    },
+    listRecent(limit = 50) {
+      return recent.slice(-limit).reverse();
+    }
+  };
+}
@@ -0,0 +1,143 @@
+import { gameError } from "./game-errors.mjs";
+
+export const NICKNAME_MAX_LENGTH = 20;
+export const CHAT_MAX_LENGTH = 200;
+const GUESS_MAX_LENGTH = 100;
+const TOKEN_MAX_LENGTH = 1024;
+const ID_MAX_LENGTH = 64;
+
+const NICKNAME = {
+  type: "string",
+  label: "Nickname",
+  code: "INVALID_NICKNAME",
+  required: true,
+  maxLength: NICKNAME_MAX_LENGTH,
+  pattern: /^[\p{L}\p{N}][\p{L}\p{N} _.'-]*$/u
+};
+const PROFILE_TOKEN = { type: "string", label: "Profile token", maxLength: TOKEN_MAX_LENGTH };
+const MEMBER_ID = { type: "string", label: "Player id", required: true, maxLength: ID_MAX_LENGTH };
+
+// One entry per inbound socket event. Strings are whitespace-normalized, and
+// Unicode-normalized where the spec names a form, before their limits are
+// checked. Fields not listed here are rejected.
+export const EVENT_SCHEMAS = {
+  "room:create": { nickname: NICKNAME, profileToken: PROFILE_TOKEN },
+  "room:join": {
+    roomCode: {
+      type: "string",
+      label: "Room code",
+      code: "INVALID_ROOM_CODE",
+      required: true,
+      upperCase: true,
+      pattern: /^[A-Z0-9]{4}$/,
+      patternMessage: "Room code must be 4 letters or digits."
+    },
+    nickname: NICKNAME,
+    asSpectator: { type: "boolean", label: "asSpectator" },
+    profileToken: PROFILE_TOKEN
+  },
+  "room:resume": {
+    sessionToken: { type: "string", label: "Session token", required: true, maxLength: TOKEN_MAX_LENGTH }
+  },
+  "room:updateSettings": { settings: { type: "object", label: "Settings", code: "INVALID_SETTINGS", required: true } },
+  "room:kick": { playerId: MEMBER_ID },
+  "room:ban": { playerId: MEMBER_ID },
+  "room:transferHost": { playerId: MEMBER_ID },
+  "room:addBot": { difficulty: { type: "string", label: "Bot difficulty", maxLength: ID_MAX_LENGTH } },
+  "room:chooseTeam": { teamId: { type: "string", label: "Team", required: true, maxLength: ID_MAX_LENGTH } },
+  "room:promoteSpectator": { spectatorId: { ...MEMBER_ID, label: "Spectator id" } },
+  "game:start": {},
+  "game:guess": { guess: { type: "string", label: "Guess", required: true, maxLength: GUESS_MAX_LENGTH } },
+  "game:letter": {
+    letter: {
+      type: "string",
+      label: "Letter",
+      required: true,
+      // Accented letters typed as a base letter plus a combining mark become one.
+      normalize: "NFC",
+      maxLength: 1,
+      pattern: /^\p{L}$/u,
+      patternMessage: "Letter must be a single letter."
+    }
+  },
+  "room:chat": {
+    text: { type: "string", label: "Message", code: "INVALID_MESSAGE", required: true, maxLength: CHAT_MAX_LENGTH }
+  },
+  "game:end": {},
+  "game:playAgain": {},
+  "clock:sync": {}
+};
+
+function parseField(spec, value) {
+  const code = spec.code ?? "INVALID_PAYLOAD";
+  if (value === undefined || value === null || (spec.type === "string" && value === "")) {
+    if (spec.required) {
+      throw gameError(code, `${spec.label} is required.`);
+    }
+    return undefined;
+  }
+
+  switch (spec.type) {
+    case "string": {
+      if (typeof value !== "string") {
+        throw gameError(code, `${spec.label} must be a string.`);
+      }
+      let text = value.replace(/\s+/g, " ").trim();
+      if (spec.normalize) {
+        text = text.normalize(spec.normalize);
+      }
+      if (spec.upperCase) {
+        text = text.toUpperCase();
+      }
+      if (!text && spec.required) {
+        throw gameError(code, `${spec.label} is required.`);
+      }
+      if (spec.maxLength && [...text].length > spec.maxLength) {
+        throw gameError(code, `${spec.label} must be at most ${spec.maxLength} characters.`);
+      }
+      if (text && spec.pattern && !spec.pattern.test(text)) {
+        throw gameError(code, spec.patternMessage ?? `${spec.label} contains characters that are not allowed.`);
+      }
+      return text || undefined;
+    }
+    case "boolean":
+      if (typeof value !== "boolean") {
+        throw gameError(code, `${spec.label} must be true or false.`);
+      }
+      return value;
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) {
+        throw gameError(code, `${spec.label} must be an object.`);
+      }
+      return value;
+    default:
+      throw new Error(`Unknown schema type "${spec.type}".`);
+  }
+}
+
+export function parseEventPayload(event, payload) {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) {
+    throw gameError("INVALID_PAYLOAD", `Unknown event "${event}".`);
+  }
+  if (payload === undefined || payload === null) {
+    payload = {};
+  }
+  if (typeof payload !== "object" || Array.isArray(payload)) {
+    throw gameError("INVALID_PAYLOAD", "Payload must be an object.");
+  }
+
+  const parsed = {};
+  for (const key of Object.keys(payload)) {
+    if (!schema[key]) {
+      throw gameError("INVALID_PAYLOAD", `Unknown field "${key}".`);
+    }
+  }
+  for (const [key, spec] of Object.entries(schema)) {
+    const value = parseField(spec, payload[key]);
+    if (value !== undefined) {
+      parsed[key] = value;
+    }
+  }
+  return parsed;
+}
@@ -0,0 +1,48 @@
+// Stable codes sent with every failed ack and server:error so clients can
+// localize messages and branch on them without parsing text.
+export const ERROR_CODES = Object.freeze([
+  "INVALID_PAYLOAD",
+  "INVALID_NICKNAME",
+  "INVALID_ROOM_CODE",
+  "INVALID_MESSAGE",
+  "INVALID_SETTINGS",
+  "GAME_PAUSED",
+  "SERVER_BUSY",
+  "ROOM_NOT_FOUND",
+  "ROOM_UNAVAILABLE",
+  "ROOM_FULL",
+  "SPECTATORS_FULL",
+  "NICKNAME_TAKEN",
+  "PROFILE_IN_ROOM",
+  "BANNED",
+  "NOT_HOST",
+  "NOT_IN_LOBBY",
+  "GAME_IN_PROGRESS",
+  "GAME_NOT_IN_PROGRESS",
+  "GAME_NOT_FINISHED",
+  "SESSION_INVALID",
+  "SESSION_EXPIRED",
+  "PLAYER_NOT_FOUND",
+  "PLAYER_DISCONNECTED",
+  "SPECTATOR_NOT_FOUND",
+  "SPECTATOR_DISCONNECTED",
+  "SPECTATOR_CANNOT_GUESS",
+  "WRONG_GAME_MODE",
+  "LETTER_ALREADY_GUESSED",
+  "ALREADY_SOLVED",
+  "CANNOT_TARGET_SELF",
+  "CANNOT_TARGET_BOT",
+  "TEAM_NOT_FOUND",
+  "RATE_LIMITED",
+  "ANSWER_BLOCKED",
+  "WORDS_UNAVAILABLE",
+  "NOT_ENOUGH_WORDS",
+  "NOT_ENOUGH_PLAYERS",
+  "INTERNAL_ERROR"
+]);
+
+export function gameError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
@@ -0,0 +1,228 @@
+import { gameError } from "./game-errors.mjs";
+import { judgeAnswer, toAnswerKey } from "./guess-matching.mjs";
+import { DEFAULT_LOCALE } from "./words-format.mjs";
+
+// Separators in multi-word answers are shown in the mask rather than hidden.
+const MASK_VISIBLE_CHARS = new Set([" ", "-"]);
+const SOLVE_ORDER_BONUS_POINTS = [5, 3, 1];
+const STREAK_BONUS_POINTS = 2;
+const MAX_STREAK_BONUS_STEPS = 5;
+const TYPO_POINTS_FACTOR = 0.5;
+const LETTER_HIT_POINTS = 1;
+
+function separatorIndexes(word) {
+  const chars = [...word];
+  return new Set(chars.map((_char, idx) => idx).filter((idx) => MASK_VISIBLE_CHARS.has(chars[idx])));
+}
+
+export function initialRevealedIndexes(word) {
+  const chars = [...word];
+  const revealed = separatorIndexes(word);
+  const letterIndexes = chars.map((_char, idx) => idx).filter((idx) => !revealed.has(idx));
+  if (letterIndexes.length > 1) {
+    revealed.add(letterIndexes[0]);
+    revealed.add(letterIndexes[letterIndexes.length - 1]);
+  }
+  return revealed;
+}
+
+export function toDisplayMask(word, revealedIndexes = initialRevealedIndexes(word), locale = DEFAULT_LOCALE) {
+  const chars = [...word];
+  if (chars.length <= 1) {
+    return chars.join("");
+  }
+  return chars
+    .map((char, idx) => {
+      if (revealedIndexes.has(idx)) return char.toLocaleUpperCase(locale);
+      return "_";
+    })
+    .join(" ");
+}
+
+function hiddenIndexes(round) {
+  return [...round.word].map((_char, idx) => idx).filter((idx) => !round.revealedIndexes.has(idx));
+}
+
+function revealedRoundPoints(round, settings) {
+  const penalty = round.revealCount * settings.revealPenaltyPoints;
+  return Math.max(1, settings.correctGuessPoints - penalty);
+}
+
+function speedSolvePoints(round, settings, { solveIndex, streak, now }) {
+  const duration = Math.max(1, round.endsAt - round.startedAt);
+  const elapsed = Math.min(duration, Math.max(0, now - round.startedAt));
+  const speedPoints = Math.max(1, Math.round(revealedRoundPoints(round, settings) * (1 - elapsed / duration)));
+  const orderBonus = SOLVE_ORDER_BONUS_POINTS[solveIndex] ?? 0;
+  const streakBonus = Math.min(Math.max(0, streak - 1), MAX_STREAK_BONUS_STEPS) * STREAK_BONUS_POINTS;
+  return speedPoints + orderBonus + streakBonus;
+}
+
+function scoreSolve(round, settings, solve) {
+  const fullPoints =
+    settings.scoringMode === "speed"
+      ? speedSolvePoints(round, settings, solve)
+      : revealedRoundPoints(round, settings);
+  return solve.verdict === "typo" ? Math.max(1, Math.round(fullPoints * TYPO_POINTS_FACTOR)) : fullPoints;
+}
+
+// Shuffles the letters at `indexes` among themselves. If that happens to spell
+// the answer, two different letters are swapped so the prompt never gives it away.
+function scrambleLetters(letters, indexes, word) {
+  const chars = [...word];
+  const pool = indexes.map((idx) => letters[idx]);
+  for (let i = pool.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  indexes.forEach((idx, position) => {
+    letters[idx] = pool[position];
+  });
+
+  if (indexes.every((idx) => letters[idx] === chars[idx])) {
+    const first = indexes[0];
+    const other = indexes.find((idx) => letters[idx] !== letters[first]);
+    if (other !== undefined) {
+      [letters[first], letters[other]] = [letters[other], letters[first]];
+    }
+  }
+  return letters;
+}
+
+function toLetterDisplay(letters, locale) {
+  return letters.map((char) => char.toLocaleUpperCase(locale)).join(" ");
+}
+
+function sortedLetters(value) {
+  return [...value.replace(/[ -]/g, "")].sort().join("");
+}
+
+// Each mode owns one round mechanic:
+//   startRound(word, settings)        prompt state merged into room.currentRound; sets `display`
+//   canReveal(round)                  whether another clue can be shown without giving the word away
+//   reveal(round, settings)           shows one more clue and updates `display`
+//   roundPoints(round, settings)      what a solve is worth right now, before bonuses
+//   judgeGuess(guess, round, settings) "correct", "typo", "close" or "incorrect"
+//   scoreSolve(round, settings, { verdict, solveIndex, streak, now })
+// Modes that take single-letter guesses also define
+//   guessLetter(round, letter, settings, player) -> { letter, hits, points, complete }
+const classicMode = {
+  id: "classic",
+  startRound(word, settings) {
+    const revealedIndexes = initialRevealedIndexes(word);
+    return { revealedIndexes, display: toDisplayMask(word, revealedIndexes, settings.locale) };
+  },
+  canReveal(round) {
+    return hiddenIndexes(round).length > 1;
+  },
+  reveal(round, settings) {
+    const hidden = hiddenIndexes(round);
+    round.revealedIndexes.add(hidden[Math.floor(Math.random() * hidden.length)]);
+    round.display = toDisplayMask(round.word, round.revealedIndexes, settings.locale);
+  },
+  roundPoints: revealedRoundPoints,
+  judgeGuess(guess, round, settings) {
+    return judgeAnswer(guess, round.word, settings);
+  },
+  scoreSolve
+};
+
+// The prompt is the answer's letters shuffled. Reveals move letters into their
+// final place from the left; `revealedIndexes` holds the positions already fixed.
+const anagramMode = {
+  id: "anagram",
+  startRound(word, settings) {
+    const chars = [...word];
+    const revealedIndexes = separatorIndexes(word);
+    const letterIndexes = chars.map((_char, idx) => idx).filter((idx) => !revealedIndexes.has(idx));
+    const letters = scrambleLetters([...chars], letterIndexes, word);
+    return { letters, revealedIndexes, display: toLetterDisplay(letters, settings.locale) };
+  },
+  canReveal(round) {
+    // The letters still unplaced after the next reveal must be able to stay out
+    // of order, or the display would spell the answer.
+    const chars = [...round.word];
+    const [, ...rest] = hiddenIndexes(round);
+    return new Set(rest.map((idx) => chars[idx])).size > 1;
+  },
+  reveal(round, settings) {
+    const chars = [...round.word];
+    const [target, ...rest] = hiddenIndexes(round);
+    const source = [target, ...rest].find((idx) => round.letters[idx] === chars[target]);
+    [round.letters[target], round.letters[source]] = [round.letters[source], round.letters[target]];
+    round.revealedIndexes.add(target);
+    scrambleLetters(round.letters, rest, round.word);
+    round.display = toLetterDisplay(round.letters, settings.locale);
+  },
+  roundPoints: revealedRoundPoints,
+  judgeGuess(guess, round, settings) {
+    // Every letter is on screen, so a slip is a wrong answer rather than a typo.
+    const verdict = judgeAnswer(guess, round.word, { ...settings, typoTolerance: false });
+    if (verdict !== "incorrect") return verdict;
+    const sameLetters = sortedLetters(toAnswerKey(guess, settings)) === sortedLetters(toAnswerKey(round.word, settings));
+    return sameLetters ? "close" : "incorrect";
+  },
+  scoreSolve
+};
+
+// Players uncover the word themselves with game:letter. Every hit counts as a
+// reveal, so the word is worth less the more of it is showing.
+const hangmanMode = {
+  id: "hangman",
+  startRound(word, settings) {
+    const revealedIndexes = separatorIndexes(word);
+    return {
+      revealedIndexes,
+      display: toDisplayMask(word, revealedIndexes, settings.locale),
+      wrongLetters: [],
+      letterGuesses: []
+    };
+  },
+  canReveal() {
+    return false;
+  },
+  reveal() {},
+  roundPoints: revealedRoundPoints,
+  judgeGuess(guess, round, settings) {
+    return judgeAnswer(guess, round.word, settings);
+  },
+  scoreSolve,
+  guessLetter(round, letter, settings, player) {
+    const key = toAnswerKey(letter, settings);
+    if (round.letterGuesses.some((entry) => entry.letter === key)) {
+      throw gameError("LETTER_ALREADY_GUESSED", `The letter "${key}" has already been guessed.`);
+    }
+
+    const chars = [...round.word];
+    const matches = hiddenIndexes(round).filter((idx) => toAnswerKey(chars[idx], settings) === key);
+    for (const idx of matches) {
+      round.revealedIndexes.add(idx);
+    }
+    if (matches.length > 0) {
+      round.display = toDisplayMask(round.word, round.revealedIndexes, settings.locale);
+    } else {
+      round.wrongLetters.push(key);
+    }
+
+    const points = matches.length * LETTER_HIT_POINTS;
+    round.letterGuesses.push({
+      letter: key,
+      playerId: player.id,
+      nickname: player.nickname,
+      hits: matches.length,
+      points
+    });
+    return { letter: key, hits: matches.length, points, complete: hiddenIndexes(round).length === 0 };
+  }
+};
+
+const GAME_MODES = {
+  classic: classicMode,
+  anagram: anagramMode,
+  hangman: hangmanMode
+};
+
+export const GAME_MODE_IDS = Object.keys(GAME_MODES);
+
+export function getGameMode(id) {
+  return GAME_MODES[id] ?? classicMode;
+}
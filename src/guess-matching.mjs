@@ -0,0 +1,75 @@
+import { DEFAULT_LOCALE } from "./words-format.mjs";
+
+const ENGLISH_SUFFIXES = ["ies", "es", "s", "ed", "ing", "er", "est", "ly"];
+export const TYPO_TOLERANCE_MIN_LENGTH = 6;
+
+export function normalizeText(value) {
+  return String(value ?? "").replace(/\s+/g, " ").trim();
+}
+
+export function normalizeGuess(value, locale = DEFAULT_LOCALE) {
+  return normalizeText(value).normalize("NFC").toLocaleLowerCase(locale);
+}
+
+function stripAccents(value) {
+  return value.normalize("NFD").replace(/\p{M}/gu, "").normalize("NFC");
+}
+
+export function toAnswerKey(value, settings) {
+  const normalized = normalizeGuess(value, settings.locale);
+  return settings.accentInsensitive ? stripAccents(normalized) : normalized;
+}
+
+export function editDistance(left, right, maxDistance = Infinity) {
+  const a = [...left];
+  const b = [...right];
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_value, idx) => idx);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    // Every later row is at least this row's minimum, so stop early.
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function englishStem(word) {
+  for (const suffix of ENGLISH_SUFFIXES) {
+    if (word.length > suffix.length + 2 && word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return suffix === "ies" ? `${stem}y` : stem;
+    }
+  }
+  return word;
+}
+
+export function isInflectionOf(guess, answer, locale) {
+  if (guess === answer || !locale.startsWith("en")) return false;
+  return englishStem(guess) === englishStem(answer);
+}
+
+// Returns "correct", "typo" (accepted with reduced points), "close" or "incorrect".
+// Only the guesser ever sees the verdict, so "close" never leaks the answer.
+export function judgeAnswer(guess, word, settings) {
+  const guessKey = toAnswerKey(guess, settings);
+  const answerKey = toAnswerKey(word, settings);
+  if (guessKey === answerKey) return "correct";
+
+  // A plural or other inflection is a different word, not a typo.
+  if (isInflectionOf(guessKey, answerKey, settings.locale)) return "close";
+
+  const maxDistance = Math.max(settings.closeGuessDistance, settings.typoTolerance ? 1 : 0);
+  const distance = editDistance(guessKey, answerKey, maxDistance);
+  if (settings.typoTolerance && distance === 1 && [...answerKey].length >= TYPO_TOLERANCE_MIN_LENGTH) {
+    return "typo";
+  }
+  return distance <= settings.closeGuessDistance ? "close" : "incorrect";
+}
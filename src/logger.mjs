@@ -0,0 +1,65 @@
+import process from "node:process";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const SECRET_KEY_PATTERN = /token|secret|password|authorization|apikey|api_key|cookie/i;
+const SECRET_ENV_NAMES = [
+  "SUPABASE_SECRET_KEY",
+  "SUPABASE_SERVICE_ROLE_KEY",
+  "SESSION_SECRET",
+  "ADMIN_TOKEN",
+  "REDIS_URL"
+];
+const REDACTED = "[redacted]";
+
+function createRedactor(env) {
+  const secrets = SECRET_ENV_NAMES.map((name) => env[name]).filter((value) => value && value.length >= 8);
+
+  function redactString(value) {
+    return secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+  }
+
+  return function redact(value, depth = 0) {
+    if (typeof value === "string") return redactString(value);
+    if (value instanceof Error) return { message: redactString(value.message), name: value.name };
+    if (!value || typeof value !== "object" || depth > 5) return value;
+    if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(item, depth + 1)
+      ])
+    );
+  };
+}
+
+// JSON-lines logger. LOG_LEVEL picks the minimum level (debug, info, warn,
+// error or silent); fields named like credentials and known secret env values
+// are redacted before anything is written.
+export function createLogger({ env = process.env, bindings = {} } = {}) {
+  const levelName = String(env.LOG_LEVEL ?? "info").trim().toLowerCase();
+  const minLevel = LEVELS[levelName] ?? LEVELS.info;
+  const redact = createRedactor(env);
+
+  function build(base) {
+    function write(level, msg, fields = {}) {
+      if (LEVELS[level] < minLevel) return;
+      const line = JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...redact({ ...base, ...fields })
+      });
+      (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+    }
+
+    return {
+      debug: (msg, fields) => write("debug", msg, fields),
+      info: (msg, fields) => write("info", msg, fields),
+      warn: (msg, fields) => write("warn", msg, fields),
+      error: (msg, fields) => write("error", msg, fields),
+      child: (fields) => build({ ...base, ...fields })
+    };
+  }
+
+  return build(bindings);
+}
@@ -0,0 +1,262 @@
+import process from "node:process";
+
+const MEMORY_STORE_LIMIT = 500;
+
+function toIso(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+function fromIso(value) {
+  return value ? Date.parse(value) : null;
+}
+
+function mapStatsRow(row) {
+  return {
+    profileId: row.profile_id,
+    nickname: row.nickname,
+    gamesPlayed: Number(row.games_played),
+    wins: Number(row.wins),
+    wordsSolved: Number(row.words_solved),
+    averageSolveMs: row.average_solve_ms === null ? null : Number(row.average_solve_ms),
+    bestStreak: row.best_streak,
+    lastPlayedAt: fromIso(row.last_played_at)
+  };
+}
+
+function aggregatePlayerStats(games, { since = null, profileId = null, limit = Infinity } = {}) {
+  const stats = new Map();
+  const ordered = [...games].sort((a, b) => a.endedAt - b.endedAt);
+  for (const game of ordered) {
+    if (since !== null && game.endedAt < since) continue;
+    for (const player of game.players) {
+      if (!player.profileId) continue;
+      if (profileId !== null && player.profileId !== profileId) continue;
+
+      const entry = stats.get(player.profileId) ?? {
+        profileId: player.profileId,
+        nickname: player.nickname,
+        gamesPlayed: 0,
+        wins: 0,
+        wordsSolved: 0,
+        totalSolveMs: 0,
+        bestStreak: 0,
+        lastPlayedAt: null
+      };
+      entry.nickname = player.nickname;
+      entry.gamesPlayed += 1;
+      entry.wins += player.isWinner ? 1 : 0;
+      entry.wordsSolved += player.wordsSolved;
+      entry.totalSolveMs += player.totalSolveMs;
+      entry.bestStreak = Math.max(entry.bestStreak, player.bestStreak);
+      entry.lastPlayedAt = game.endedAt;
+      stats.set(player.profileId, entry);
+    }
+  }
+
+  return [...stats.values()]
+    .map(({ totalSolveMs, ...entry }) => ({
+      ...entry,
+      averageSolveMs: entry.wordsSolved > 0 ? Math.round(totalSolveMs / entry.wordsSolved) : null
+    }))
+    .sort((a, b) => b.wins - a.wins || b.wordsSolved - a.wordsSolved || a.gamesPlayed - b.gamesPlayed)
+    .slice(0, limit);
+}
+
+function mapGameRow(row) {
+  return {
+    id: row.id,
+    roomCode: row.room_code,
+    settings: row.settings,
+    endReason: row.end_reason,
+    startedAt: fromIso(row.started_at),
+    endedAt: fromIso(row.ended_at),
+    players: (row.game_players ?? [])
+      .map((player) => ({
+        playerId: player.player_id,
+        profileId: player.profile_id,
+        nickname: player.nickname,
+        teamId: player.team_id,
+        score: player.score,
+        rank: player.rank,
+        isWinner: player.is_winner,
+        wordsSolved: player.words_solved,
+        totalSolveMs: Number(player.total_solve_ms),
+        bestStreak: player.best_streak
+      }))
+      .sort((a, b) => a.rank - b.rank),
+    rounds: (row.game_rounds ?? [])
+      .map((round) => ({
+        roundIndex: round.round_index,
+        word: round.word,
+        reason: round.reason,
+        pointsAwarded: round.points_awarded,
+        solvers: round.solvers
+      }))
+      .sort((a, b) => a.roundIndex - b.roundIndex)
+  };
+}
+
+async function insertGameDetails(db, game) {
+  if (game.players.length > 0) {
+    const { error } = await db.from("game_players").insert(
+      game.players.map((player) => ({
+        game_id: game.id,
+        player_id: player.playerId,
+        profile_id: player.profileId,
+        nickname: player.nickname,
+        team_id: player.teamId,
+        score: player.score,
+        rank: player.rank,
+        is_winner: player.isWinner,
+        words_solved: player.wordsSolved,
+        total_solve_ms: player.totalSolveMs,
+        best_streak: player.bestStreak
+      }))
+    );
+    if (error) {
+      throw new Error(`Failed to save game players: ${error.message}`);
+    }
+  }
+
+  if (game.rounds.length > 0) {
+    const { error } = await db.from("game_rounds").insert(
+      game.rounds.map((round) => ({
+        game_id: game.id,
+        round_index: round.roundIndex,
+        word: round.word,
+        reason: round.reason,
+        points_awarded: round.pointsAwarded,
+        solvers: round.solvers
+      }))
+    );
+    if (error) {
+      throw new Error(`Failed to save game rounds: ${error.message}`);
+    }
+  }
+}
+
+export function createSupabaseMatchStore(supabase) {
+  const db = supabase.schema("worddash");
+
+  return {
+    name: "supabase",
+    async saveGame(game) {
+      const { error: gameError } = await db.from("games").insert({
+        id: game.id,
+        room_code: game.roomCode,
+        settings: game.settings,
+        end_reason: game.endReason,
+        started_at: toIso(game.startedAt),
+        ended_at: toIso(game.endedAt)
+      });
+      if (gameError) {
+        throw new Error(`Failed to save game: ${gameError.message}`);
+      }
+
+      try {
+        await insertGameDetails(db, game);
+      } catch (error) {
+        // Child rows cascade, so deleting the game leaves nothing half-saved.
+        const { error: cleanupError } = await db.from("games").delete().eq("id", game.id);
+        if (cleanupError) {
+          throw new Error(`${error.message}; removing the partial game also failed: ${cleanupError.message}`);
+        }
+        throw error;
+      }
+    },
+    async getGame(id) {
+      const { data, error } = await db
+        .from("games")
+        .select("*, game_players(*), game_rounds(*)")
+        .eq("id", id)
+        .maybeSingle();
+      if (error) {
+        throw new Error(`Failed to load game: ${error.message}`);
+      }
+      return data ? mapGameRow(data) : null;
+    },
+    async listGamesByRoom(roomCode, limit) {
+      const { data, error } = await db
+        .from("games")
+        .select("*, game_players(*)")
+        .eq("room_code", roomCode)
+        .order("ended_at", { ascending: false })
+        .limit(limit);
+      if (error) {
+        throw new Error(`Failed to list games: ${error.message}`);
+      }
+      return (data ?? []).map(mapGameRow);
+    },
+    async getLeaderboard({ since, limit }) {
+      const { data, error } = await db.rpc("player_stats", {
+        since: toIso(since),
+        profile: null,
+        max_rows: limit
+      });
+      if (error) {
+        throw new Error(`Failed to load leaderboard: ${error.message}`);
+      }
+      return (data ?? []).map(mapStatsRow);
+    },
+    async getPlayerStats(profileId) {
+      const { data, error } = await db.rpc("player_stats", {
+        since: null,
+        profile: profileId,
+        max_rows: 1
+      });
+      if (error) {
+        throw new Error(`Failed to load player stats: ${error.message}`);
+      }
+      return data?.[0] ? mapStatsRow(data[0]) : null;
+    }
+  };
+}
+
+// Keeps the most recent games in process memory. Used when Supabase is not
+// configured, so local and offline runs still have working history endpoints.
+export function createMemoryMatchStore() {
+  const games = new Map();
+
+  return {
+    name: "memory",
+    async saveGame(game) {
+      games.set(game.id, structuredClone(game));
+      if (games.size > MEMORY_STORE_LIMIT) {
+        games.delete(games.keys().next().value);
+      }
+    },
+    async getGame(id) {
+      const game = games.get(id);
+      return game ? structuredClone(game) : null;
+    },
+    async listGamesByRoom(roomCode, limit) {
+      return [...games.values()]
+        .filter((game) => game.roomCode === roomCode)
+        .sort((a, b) => b.endedAt - a.endedAt)
+        .slice(0, limit)
+        .map((game) => ({ ...structuredClone(game), rounds: [] }));
+    },
+    async getLeaderboard({ since, limit }) {
+      return aggregatePlayerStats(games.values(), { since, limit });
+    },
+    async getPlayerStats(profileId) {
+      return aggregatePlayerStats(games.values(), { profileId })[0] ?? null;
+    }
+  };
+}
+
+export function createMatchStore({ supabase, env = process.env } = {}) {
+  const kind = String(env.MATCH_STORE ?? (supabase ? "supabase" : "memory")).trim().toLowerCase();
+
+  switch (kind) {
+    case "supabase":
+      if (!supabase) {
+        throw new Error("MATCH_STORE=supabase requires SUPABASE_URL and SUPABASE_SECRET_KEY.");
+      }
+      return createSupabaseMatchStore(supabase);
+    case "memory":
+      return createMemoryMatchStore();
+    default:
+      throw new Error(`Unknown MATCH_STORE "${kind}". Use supabase or memory.`);
+  }
+}
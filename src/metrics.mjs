@@ -0,0 +1,85 @@
+import { Counter, Gauge, Histogram, Registry, collectDefaultMetrics } from "prom-client";
+
+const ROOM_STATUSES = ["lobby", "in_game", "finished"];
+
+// Prometheus metrics for one instance. Gauges that mirror live state read it
+// through the callbacks at scrape time instead of being updated inline.
+export function createMetrics({ countConnectedSockets, listRooms }) {
+  const register = new Registry();
+  collectDefaultMetrics({ register, prefix: "worddash_" });
+
+  new Gauge({
+    name: "worddash_connected_sockets",
+    help: "Socket.IO connections open on this instance.",
+    registers: [register],
+    collect() {
+      this.set(countConnectedSockets());
+    }
+  });
+
+  new Gauge({
+    name: "worddash_rooms",
+    help: "Rooms owned by this instance, by status.",
+    labelNames: ["status"],
+    registers: [register],
+    collect() {
+      const counts = Object.fromEntries(ROOM_STATUSES.map((status) => [status, 0]));
+      for (const room of listRooms()) {
+        counts[room.status] = (counts[room.status] ?? 0) + 1;
+      }
+      for (const [status, count] of Object.entries(counts)) {
+        this.set({ status }, count);
+      }
+    }
+  });
+
+  return {
+    register,
+    gamesStarted: new Counter({
+      name: "worddash_games_started_total",
+      help: "Games started.",
+      registers: [register]
+    }),
+    gamesEnded: new Counter({
+      name: "worddash_games_ended_total",
+      help: "Games ended, by reason.",
+      labelNames: ["reason"],
+      registers: [register]
+    }),
+    guesses: new Counter({
+      name: "worddash_guesses_total",
+      help: "Judged guesses, by result. Typos that were accepted count as correct.",
+      labelNames: ["result"],
+      registers: [register]
+    }),
+    rounds: new Counter({
+      name: "worddash_rounds_total",
+      help: "Finished rounds, by outcome.",
+      labelNames: ["outcome"],
+      registers: [register]
+    }),
+    wordFetchDuration: new Histogram({
+      name: "worddash_word_fetch_duration_seconds",
+      help: "Time spent loading words from the word provider.",
+      buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+      registers: [register]
+    }),
+    wordCacheHits: new Counter({
+      name: "worddash_word_cache_hits_total",
+      help: "Word lookups served from the in-process cache.",
+      registers: [register]
+    }),
+    wordFetchErrors: new Counter({
+      name: "worddash_word_fetch_errors_total",
+      help: "Failed word provider loads.",
+      registers: [register]
+    }),
+    eventDuration: new Histogram({
+      name: "worddash_event_duration_seconds",
+      help: "Socket event handler latency, by event.",
+      labelNames: ["event"],
+      buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+      registers: [register]
+    })
+  };
+}
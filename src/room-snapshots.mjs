@@ -0,0 +1,45 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+
+// Stores the rooms snapshot taken on shutdown. The file is written to a temp
+// path and renamed so a crash mid-write never leaves a half-written snapshot.
+export function createFileSnapshotStore(filePath) {
+  return {
+    name: "file",
+    source: filePath,
+    async save(snapshot) {
+      const tempPath = `${filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(snapshot), "utf8");
+      await fs.rename(tempPath, filePath);
+    },
+    async load() {
+      let content;
+      try {
+        content = await fs.readFile(filePath, "utf8");
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+      return JSON.parse(content);
+    },
+    async clear() {
+      await fs.rm(filePath, { force: true });
+    }
+  };
+}
+
+export function createSnapshotStore({ env = process.env } = {}) {
+  const kind = String(env.ROOM_SNAPSHOT_STORE ?? "file").trim().toLowerCase();
+
+  switch (kind) {
+    case "file":
+      return createFileSnapshotStore(
+        path.resolve(process.cwd(), env.ROOM_SNAPSHOT_FILE ?? "room-snapshot.json")
+      );
+    case "none":
+      return null;
+    default:
+      throw new Error(`Unknown ROOM_SNAPSHOT_STORE "${kind}". Use file or none.`);
+  }
+}
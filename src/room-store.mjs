@@ -0,0 +1,162 @@
+import process from "node:process";
+import { ClusterAdapterWithHeartbeat } from "socket.io-adapter";
+
+const FORWARD_TIMEOUT_MS = 5_000;
+
+// Rooms owned by this process. The Map-like surface (get/set/delete/values/size)
+// only ever covers local rooms; the cluster-wide operations are async.
+export function createLocalRoomStore() {
+  const rooms = new Map();
+
+  return {
+    name: "local",
+    clustered: false,
+    get: (roomCode) => rooms.get(roomCode),
+    set: (roomCode, room) => rooms.set(roomCode, room),
+    delete: (roomCode) => rooms.delete(roomCode),
+    values: () => rooms.values(),
+    get size() {
+      return rooms.size;
+    },
+    async isCodeTaken(roomCode) {
+      return rooms.has(roomCode);
+    },
+    async forward() {
+      return null;
+    },
+    async collect() {
+      return [];
+    },
+    publishSocketData() {},
+    onForward() {},
+    onCollect() {},
+    onSocketData() {}
+  };
+}
+
+// Cluster-aware store on top of a Socket.IO adapter. Each room lives on the
+// instance that created it; other instances reach it with server-side emits,
+// and every instance except the owner answers null. `collect` asks every other
+// instance and keeps the non-null answers. Request timeouts are set on the adapter.
+export function createAdapterRoomStore(io, name = "cluster") {
+  const local = createLocalRoomStore();
+
+  async function askCluster(event, ...args) {
+    try {
+      return await io.serverSideEmitWithAck(event, ...args);
+    } catch (error) {
+      throw new Error(`Other instances did not answer ${event}: ${error.message}`);
+    }
+  }
+
+  return {
+    name,
+    clustered: true,
+    get: local.get,
+    set: local.set,
+    delete: local.delete,
+    values: local.values,
+    get size() {
+      return local.size;
+    },
+    async isCodeTaken(roomCode) {
+      if (local.get(roomCode)) return true;
+      return (await askCluster("rooms:owns", roomCode)).some(Boolean);
+    },
+    async forward(roomCode, message) {
+      return (await askCluster("rooms:forward", roomCode, message)).find(Boolean) ?? null;
+    },
+    async collect(message) {
+      return (await askCluster("rooms:collect", message)).filter((answer) => answer != null);
+    },
+    publishSocketData(socketId, data) {
+      io.serverSideEmit("rooms:socketData", socketId, data);
+    },
+    onForward(handler) {
+      io.on("rooms:owns", (roomCode, ack) => ack(Boolean(local.get(roomCode))));
+      io.on("rooms:forward", async (roomCode, message, ack) => {
+        if (!local.get(roomCode)) {
+          ack(null);
+          return;
+        }
+        ack(await handler(message));
+      });
+    },
+    onCollect(handler) {
+      io.on("rooms:collect", async (message, ack) => ack(await handler(message)));
+    },
+    onSocketData(handler) {
+      io.on("rooms:socketData", handler);
+    }
+  };
+}
+
+async function attachRedisAdapter(io, redisUrl) {
+  const [{ createAdapter }, { createClient }] = await Promise.all([
+    import("@socket.io/redis-adapter"),
+    import("redis")
+  ]);
+  const pubClient = createClient({ url: redisUrl });
+  const subClient = pubClient.duplicate();
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  io.adapter(createAdapter(pubClient, subClient, { requestsTimeout: FORWARD_TIMEOUT_MS }));
+}
+
+// Adapters of every server instance running in this process. Messages are
+// cloned and delivered on a later tick, as they would be through Redis.
+const memoryAdapters = new Set();
+
+class MemoryClusterAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp) {
+    super(nsp, {});
+    memoryAdapters.add(this);
+  }
+
+  deliver(matches, receive) {
+    for (const adapter of memoryAdapters) {
+      if (adapter !== this && matches(adapter)) {
+        setImmediate(receive, adapter);
+      }
+    }
+  }
+
+  doPublish(message) {
+    this.deliver(() => true, (adapter) => adapter.onMessage(structuredClone(message)));
+    return Promise.resolve("");
+  }
+
+  doPublishResponse(requesterUid, response) {
+    this.deliver(
+      (adapter) => adapter.uid === requesterUid,
+      (adapter) => adapter.onResponse(structuredClone(response))
+    );
+    return Promise.resolve();
+  }
+
+  close() {
+    super.close();
+    memoryAdapters.delete(this);
+  }
+}
+
+export async function createRoomStore({ io, env = process.env } = {}) {
+  const kind = String(env.ROOM_STORE ?? "local").trim().toLowerCase();
+
+  switch (kind) {
+    case "local":
+      return createLocalRoomStore();
+    case "cluster":
+      if (!env.REDIS_URL) {
+        throw new Error("ROOM_STORE=cluster requires REDIS_URL.");
+      }
+      await attachRedisAdapter(io, env.REDIS_URL);
+      return createAdapterRoomStore(io);
+    case "memory":
+      // Several instances inside one process, for exercising cross-instance
+      // routing without Redis.
+      io.adapter(MemoryClusterAdapter);
+      return createAdapterRoomStore(io, "memory");
+    default:
+      throw new Error(`Unknown ROOM_STORE "${kind}". Use local, cluster or memory.`);
+  }
+}
@@ -1,17 +1,34 @@
 import "dotenv/config";
 import cors from "cors";
+import crypto from "node:crypto";
 import dns from "node:dns/promises";
 import express from "express";
 import http from "node:http";
 import process from "node:process";
 import { createClient } from "@supabase/supabase-js";
-import { customAlphabet } from "nanoid";
+import { customAlphabet, nanoid } from "nanoid";
 import { Server } from "socket.io";
+import { createAdminRouter } from "./admin-router.mjs";
+import { createAuditLog } from "./audit-log.mjs";
+import { getGameMode, GAME_MODE_IDS } from "./game-modes.mjs";
+import { TYPO_TOLERANCE_MIN_LENGTH, normalizeGuess, normalizeText, toAnswerKey } from "./guess-matching.mjs";
+import { createLogger } from "./logger.mjs";
+import { parseEventPayload } from "./event-schemas.mjs";
+import { ERROR_CODES, gameError } from "./game-errors.mjs";
+import { createMatchStore } from "./match-store.mjs";
+import { createMetrics } from "./metrics.mjs";
+import { createRoomStore } from "./room-store.mjs";
+import { createSnapshotStore } from "./room-snapshots.mjs";
+import { createWordProvider } from "./word-providers.mjs";
+import { DEFAULT_LOCALE, MAX_DIFFICULTY, MIN_DIFFICULTY } from "./words-format.mjs";
 
 const PORT = Number(process.env.PORT ?? 8080);
 const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN ?? "*";
 const GAME_ENABLED = process.env.GAME_ENABLED ?? "true";
 const MAX_ACTIVE_ROOMS = Number(process.env.MAX_ACTIVE_ROOMS ?? 50);
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN ?? "";
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS ?? 30_000);
 
 function normalizeOrigin(origin) {
   const value = String(origin ?? "").trim();
@@ -26,17 +43,135 @@ const GAME_DURATION_MS = 180_000; // 3 minutes
 const ROUND_DURATION_MS = 30_000; // 30 seconds
 const ROUND_TRANSITION_DELAY_MS = 2_000;
 const CORRECT_GUESS_POINTS = 10;
+const MAX_SPECTATORS = 20;
+const MIN_FILTERED_WORDS = 5;
+const MAX_WORD_LENGTH = 30;
+const SUPPORTED_LOCALES = ["en", "es", "fr", "de", "it", "pt", "nl", "tr"];
+const TEAMS = [
+  { id: "red", name: "Red" },
+  { id: "blue", name: "Blue" },
+  { id: "green", name: "Green" },
+  { id: "yellow", name: "Yellow" }
+];
+const REVEAL_INTERVAL_MS = 8_000;
+const MIN_REVEAL_INTERVAL_MS = 2_000;
+const REVEAL_PENALTY_POINTS = 2;
+// Bots try an answer after a random delay in this range; on a miss they try
+// again after another delay until the round ends.
+const BOT_DIFFICULTIES = {
+  easy: { accuracy: 0.3, minDelayMs: 9_000, maxDelayMs: 20_000 },
+  medium: { accuracy: 0.55, minDelayMs: 5_000, maxDelayMs: 12_000 },
+  hard: { accuracy: 0.85, minDelayMs: 2_500, maxDelayMs: 7_000 }
+};
+const DEFAULT_BOT_DIFFICULTY = "medium";
+const BOT_NAMES = ["Ada", "Byte", "Cog", "Dot", "Echo", "Pixel", "Rivet", "Widget"];
+const CHAT_HISTORY_LIMIT = 50;
+const CHAT_RATE_LIMIT_COUNT = 5;
+const CHAT_RATE_LIMIT_WINDOW_MS = 10_000;
+const LETTER_GUESS_COOLDOWN_MS = 3_000;
+// In elimination games each knockout shortens the rounds that follow.
+const ELIMINATION_ROUND_SPEEDUP = 0.8;
+const ELIMINATION_MIN_ROUND_MS = 10_000;
+const ROOM_GAMES_LIST_LIMIT = 20;
+const LEADERBOARD_WINDOWS_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+  all: null
+};
+const LEADERBOARD_MAX_LIMIT = 100;
+const ROOM_SNAPSHOT_VERSION = 1;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const DEFAULT_ROOM_SETTINGS = {
+  maxPlayers: MAX_PLAYERS,
+  gameDurationMs: GAME_DURATION_MS,
+  roundDurationMs: ROUND_DURATION_MS,
+  roundTransitionDelayMs: ROUND_TRANSITION_DELAY_MS,
+  correctGuessPoints: CORRECT_GUESS_POINTS,
+  revealIntervalMs: REVEAL_INTERVAL_MS,
+  revealPenaltyPoints: REVEAL_PENALTY_POINTS,
+  gameMode: "classic",
+  scoringMode: "first_guess",
+  teamCount: 0,
+  elimination: false,
+  eliminationInterval: 1,
+  eliminationRule: "lowest_score",
+  categories: [],
+  minDifficulty: MIN_DIFFICULTY,
+  maxDifficulty: MAX_DIFFICULTY,
+  minWordLength: 1,
+  maxWordLength: MAX_WORD_LENGTH,
+  locale: DEFAULT_LOCALE,
+  accentInsensitive: true,
+  closeGuessDistance: 1,
+  typoTolerance: false
+};
+const ROOM_SETTING_RANGES = {
+  maxPlayers: { min: 2, max: 8 },
+  gameDurationMs: { min: 60_000, max: 600_000 },
+  roundDurationMs: { min: 10_000, max: 120_000 },
+  roundTransitionDelayMs: { min: 0, max: 10_000 },
+  correctGuessPoints: { min: 1, max: 100 },
+  revealIntervalMs: { min: 0, max: 60_000 }, // 0 disables reveals
+  revealPenaltyPoints: { min: 0, max: 50 },
+  teamCount: { min: 0, max: TEAMS.length }, // 0 is individual play
+  eliminationInterval: { min: 1, max: 5 }, // rounds between knockouts
+  minDifficulty: { min: MIN_DIFFICULTY, max: MAX_DIFFICULTY },
+  maxDifficulty: { min: MIN_DIFFICULTY, max: MAX_DIFFICULTY },
+  minWordLength: { min: 1, max: MAX_WORD_LENGTH },
+  maxWordLength: { min: 1, max: MAX_WORD_LENGTH },
+  closeGuessDistance: { min: 0, max: 3 } // 0 disables "close" feedback
+};
+const ROOM_SETTING_LISTS = {
+  categories: { maxItems: 20, maxLength: 40 } // empty list allows every category
+};
+const ROOM_SETTING_CHOICES = {
+  gameMode: GAME_MODE_IDS,
+  scoringMode: ["first_guess", "speed"],
+  locale: SUPPORTED_LOCALES,
+  elimination: [true, false],
+  eliminationRule: ["lowest_score", "missed_word"],
+  accentInsensitive: [true, false],
+  typoTolerance: [true, false]
+};
 const ROOM_CODE_LENGTH = 4;
+const ROOM_CODE_ATTEMPTS = 10;
+// socket.data fields owned by the room logic; copied between instances when an
+// event is handled by the instance that owns the room.
+const ROUTED_SOCKET_FIELDS = ["roomCode", "playerId", "spectatorId", "chatSentAt"];
 const createRoomCode = customAlphabet("ABCDEFGHJKLMNPQRSTUVWXYZ23456789", ROOM_CODE_LENGTH);
 
+const logger = createLogger();
+if (!process.env.SESSION_SECRET) {
+  logger.warn("session.secret_missing", {
+    detail: "SESSION_SECRET is not set; session and profile tokens stop working when the server restarts"
+  });
+}
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseSecretKey =
   process.env.SUPABASE_SECRET_KEY ?? process.env.SUPABASE_SERVICE_ROLE_KEY;
 const supabase = supabaseUrl && supabaseSecretKey ? createClient(supabaseUrl, supabaseSecretKey) : null;
+const wordProvider = createWordProvider({ supabase });
+const matchStore = createMatchStore({ supabase });
+const snapshotStore = createSnapshotStore();
 
 const app = express();
 app.use(cors({ origin: CORS_ORIGIN === "*" ? true : CORS_ORIGIN }));
 app.use(express.json());
+app.use((req, res, next) => {
+  const startedAt = nowMs();
+  res.on("finish", () => {
+    const path = req.originalUrl.split("?")[0];
+    logger.info("http.request", {
+      method: req.method,
+      path,
+      status: res.statusCode,
+      durationMs: nowMs() - startedAt,
+      roomCode: path.match(/\/rooms\/([^/]+)/)?.[1] ?? null,
+      playerId: path.match(/\/players\/([^/]+)/)?.[1] ?? null
+    });
+  });
+  next();
+});
 
 const server = http.createServer(app);
 const io = new Server(server, {
@@ -46,45 +181,156 @@ const io = new Server(server, {
   }
 });
 
-const rooms = new Map();
+const rooms = await createRoomStore({ io });
+if (rooms.clustered && !process.env.SESSION_SECRET) {
+  throw new Error(`ROOM_STORE=${rooms.name} requires SESSION_SECRET to be shared by every instance.`);
+}
+const metrics = createMetrics({
+  countConnectedSockets: () => io.engine.clientsCount,
+  listRooms: () => rooms.values()
+});
+let shuttingDown = false;
 let wordsCache = { expiresAt: 0, rows: [] };
+// Runtime overrides set through the admin API; null falls back to the env.
+const runtimeConfig = {
+  gameEnabled: null,
+  maxActiveRooms: MAX_ACTIVE_ROOMS
+};
 
 function isGameEnabled() {
+  if (runtimeConfig.gameEnabled !== null) return runtimeConfig.gameEnabled;
   return (process.env.GAME_ENABLED ?? GAME_ENABLED).toLowerCase() === "true";
 }
 
-function normalizeText(value) {
-  return String(value ?? "").replace(/\s+/g, " ").trim();
+function nowMs() {
+  return Date.now();
+}
+
+function signTokenPayload(encodedPayload) {
+  return crypto.createHmac("sha256", SESSION_SECRET).update(encodedPayload).digest("base64url");
 }
 
-function normalizeGuess(value) {
-  return normalizeText(value).toLowerCase();
+function createSignedToken(payload) {
+  const encodedPayload = Buffer.from(JSON.stringify({ ...payload, issuedAt: nowMs() })).toString(
+    "base64url"
+  );
+  return `${encodedPayload}.${signTokenPayload(encodedPayload)}`;
 }
 
-function toDisplayMask(word) {
-  const chars = [...word];
-  if (chars.length <= 1) {
-    return chars.join("");
+function readSignedToken(token, kind) {
+  const [encodedPayload, signature] = String(token ?? "").split(".");
+  if (!encodedPayload || !signature) return null;
+
+  const expected = Buffer.from(signTokenPayload(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+    return payload?.kind === kind ? payload : null;
+  } catch {
+    return null;
   }
-  return chars
-    .map((char, idx) => {
-      if (idx === 0 || idx === chars.length - 1) return char.toUpperCase();
-      return "_";
-    })
-    .join(" ");
 }
 
-function nowMs() {
-  return Date.now();
+function createSessionToken(roomCode, member, role = "player") {
+  return createSignedToken({
+    kind: "session",
+    roomCode,
+    playerId: member.id,
+    nickname: member.nickname,
+    role
+  });
 }
 
-function serializePlayers(room) {
-  return [...room.players.values()].map((player) => ({
+function verifySessionToken(token) {
+  const payload = readSignedToken(token, "session");
+  if (!payload?.roomCode || !payload?.playerId) return null;
+  return payload;
+}
+
+// Guest profiles are device-bound: the client keeps the token and sends it on
+// every create/join so stats from separate rooms add up to one profile.
+// No token starts a new profile. A token that does not verify is rejected
+// rather than replaced, so a client never swaps profiles without knowing.
+function resolveProfile(profileToken) {
+  if (profileToken) {
+    const payload = readSignedToken(profileToken, "profile");
+    if (!payload?.profileId) {
+      throw gameError("SESSION_INVALID", "Profile token is invalid.");
+    }
+    return { profileId: payload.profileId, profileToken };
+  }
+  const profileId = nanoid();
+  return { profileId, profileToken: createSignedToken({ kind: "profile", profileId }) };
+}
+
+function serializePlayer(room, player) {
+  return {
     id: player.id,
+    profileId: player.profileId,
     nickname: player.nickname,
     score: player.score,
+    streak: player.streak,
+    teamId: player.teamId,
     connected: player.connected,
-    isHost: room.hostPlayerId === player.id
+    isHost: room.hostPlayerId === player.id,
+    isBot: player.isBot
+  };
+}
+
+function serializePlayers(room) {
+  return [...room.players.values()].map((player) => serializePlayer(room, player));
+}
+
+function getActiveTeams(room) {
+  return TEAMS.slice(0, room.settings.teamCount);
+}
+
+function serializeTeams(room) {
+  return getActiveTeams(room).map((team) => ({
+    id: team.id,
+    name: team.name,
+    score: room.teamScores[team.id] ?? 0,
+    playerIds: [...room.players.values()]
+      .filter((player) => player.teamId === team.id)
+      .map((player) => player.id)
+  }));
+}
+
+function pickSmallestTeam(room) {
+  const teams = serializeTeams(room);
+  teams.sort((a, b) => a.playerIds.length - b.playerIds.length);
+  return teams[0]?.id ?? null;
+}
+
+function assignTeams(room) {
+  const teamIds = new Set(getActiveTeams(room).map((team) => team.id));
+  for (const player of room.players.values()) {
+    if (!teamIds.has(player.teamId)) {
+      player.teamId = null;
+    }
+  }
+  for (const player of room.players.values()) {
+    if (teamIds.size > 0 && !player.teamId) {
+      player.teamId = pickSmallestTeam(room);
+    }
+  }
+}
+
+function awardPoints(room, player, points) {
+  player.score += points;
+  if (player.teamId) {
+    room.teamScores[player.teamId] = (room.teamScores[player.teamId] ?? 0) + points;
+  }
+}
+
+function serializeSpectators(room) {
+  return [...room.spectators.values()].map((spectator) => ({
+    id: spectator.id,
+    nickname: spectator.nickname
   }));
 }
 
@@ -92,12 +338,22 @@ function emitRoomState(room) {
   io.to(room.id).emit("room:state", {
     roomCode: room.id,
     status: room.status,
-    players: serializePlayers(room)
+    settings: room.settings,
+    players: serializePlayers(room),
+    teams: serializeTeams(room),
+    spectators: serializeSpectators(room)
   });
 }
 
-function emitServerError(socket, message) {
-  socket.emit("server:error", { message });
+function emitServerError(socket, message, code = "INTERNAL_ERROR") {
+  socket.emit("server:error", { code, message });
+}
+
+function replyWithError(socket, error, callback) {
+  const code = error.code && ERROR_CODES.includes(error.code) ? error.code : "INTERNAL_ERROR";
+  const message = formatUnknownError(error);
+  callback?.({ ok: false, code, message });
+  emitServerError(socket, message, code);
 }
 
 function formatUnknownError(error) {
@@ -126,10 +382,38 @@ function clearTimers(room) {
     clearTimeout(room.roundTimer);
     room.roundTimer = null;
   }
+  if (room.revealTimer) {
+    clearInterval(room.revealTimer);
+    room.revealTimer = null;
+  }
   if (room.roundTransitionTimer) {
     clearTimeout(room.roundTransitionTimer);
     room.roundTransitionTimer = null;
   }
+  clearBotTimers(room);
+}
+
+function clearBotTimers(room) {
+  for (const timer of room.botTimers) {
+    clearTimeout(timer);
+  }
+  room.botTimers.clear();
+}
+
+function clearPlayerDropTimer(player) {
+  if (player.dropTimer) {
+    clearTimeout(player.dropTimer);
+    player.dropTimer = null;
+  }
+}
+
+function deleteRoom(room) {
+  clearTimers(room);
+  for (const player of room.players.values()) {
+    clearPlayerDropTimer(player);
+  }
+  rooms.delete(room.id);
+  logger.info("room.deleted", { roomCode: room.id });
 }
 
 function countActiveRooms() {
@@ -165,42 +449,36 @@ function shuffleRows(rows) {
 }
 
 async function fetchWords() {
-  if (!supabase) {
-    throw new Error("Supabase env is missing.");
-  }
-
   const current = nowMs();
   if (wordsCache.rows.length > 0 && wordsCache.expiresAt > current) {
+    metrics.wordCacheHits.inc();
     return wordsCache.rows;
   }
 
   let data;
-  let error;
+  const stopFetchTimer = metrics.wordFetchDuration.startTimer();
   try {
-    const response = await supabase
-      .schema("worddash")
-      .from("words")
-      .select("word,hint,length")
-      .order("word", { ascending: true });
-    data = response.data;
-    error = response.error;
+    data = await wordProvider.loadWords();
   } catch (unknownError) {
-    throw new Error(`Failed to fetch words: ${formatUnknownError(unknownError)}`);
-  }
-
-  if (error) {
-    throw new Error(`Failed to fetch words: ${error.message}`);
+    metrics.wordFetchErrors.inc();
+    throw gameError("WORDS_UNAVAILABLE", `Failed to fetch words: ${formatUnknownError(unknownError)}`);
+  } finally {
+    stopFetchTimer();
   }
 
   if (!data || data.length === 0) {
-    throw new Error("Word list is empty in database.");
+    metrics.wordFetchErrors.inc();
+    throw gameError("WORDS_UNAVAILABLE", `Word list is empty in ${wordProvider.name} provider.`);
   }
 
   wordsCache = {
     rows: data.map((row) => ({
-      word: normalizeGuess(row.word),
+      word: normalizeGuess(row.word, row.locale || DEFAULT_LOCALE),
       hint: normalizeText(row.hint),
-      length: Number(row.length)
+      length: Number(row.length),
+      category: row.category ? normalizeGuess(row.category) : null,
+      difficulty: row.difficulty == null ? null : Number(row.difficulty),
+      locale: row.locale || DEFAULT_LOCALE
     })),
     expiresAt: current + 60_000 
   };
@@ -212,44 +490,171 @@ function getConnectedPlayers(room) {
   return [...room.players.values()].filter((player) => player.connected);
 }
 
+// Bots keep no room alive on their own: lifecycle checks only count people.
+// Players knocked out of an elimination game keep the room open while they
+// watch, since they get their seats back when the game ends.
+function hasHumanPlayers(room) {
+  return (
+    [...room.players.values()].some((player) => !player.isBot) ||
+    [...room.spectators.keys()].some((id) => room.knockedOut.has(id))
+  );
+}
+
 function maybeDeleteRoom(room) {
-  const connectedPlayers = getConnectedPlayers(room);
-  if (connectedPlayers.length === 0) {
-    clearTimers(room);
-    rooms.delete(room.id);
+  if (!hasHumanPlayers(room)) {
+    deleteRoom(room);
+  }
+}
+
+function reassignHostIfNeeded(room) {
+  if (!room.players.has(room.hostPlayerId)) {
+    const first = [...room.players.values()].find((player) => !player.isBot);
+    room.hostPlayerId = first ? first.id : null;
   }
 }
 
+function removePlayer(room, playerId) {
+  const player = room.players.get(playerId);
+  if (!player) return;
+  clearPlayerDropTimer(player);
+  room.players.delete(playerId);
+  reassignHostIfNeeded(room);
+}
+
+function buildRoomSnapshot(room) {
+  const current = nowMs();
+  const round = room.currentRound
+    ? {
+        display: room.currentRound.display,
+        hint: room.currentRound.hint,
+        points: currentRoundPoints(room),
+        roundEndsAt: room.currentRound.endsAt,
+        remainingMs: Math.max(0, room.currentRound.endsAt - current),
+        ...(room.currentRound.wrongLetters ? { wrongLetters: room.currentRound.wrongLetters } : {})
+      }
+    : null;
+
+  return {
+    roomCode: room.id,
+    status: room.status,
+    settings: room.settings,
+    players: serializePlayers(room),
+    teams: serializeTeams(room),
+    spectators: serializeSpectators(room),
+    chatHistory: room.chatHistory,
+    round,
+    gameEndsAt: room.gameEndsAt,
+    gameRemainingMs: room.gameEndsAt ? Math.max(0, room.gameEndsAt - current) : null
+  };
+}
+
 function endGame(room, reason = "time_up") {
   if (room.currentRound) {
-    room.roundHistory.push({
-      word: room.currentRound.word,
-      winnerPlayerId: null,
-      winnerNickname: null,
-      pointsAwarded: 0,
-      reason: reason === "host_ended" ? "host_ended" : "time_up"
-    });
+    const roundReason = ["host_ended", "admin_ended", "last_player_standing"].includes(reason) ? reason : "time_up";
+    room.roundHistory.push(buildRoundSummary(room.currentRound, roundReason));
+    metrics.rounds.inc({ outcome: roundReason });
   }
+  metrics.gamesEnded.inc({ reason });
+  logger.info("game.ended", { roomCode: room.id, reason, rounds: room.roundHistory.length });
 
   room.status = "finished";
   room.gameEndsAt = null;
   room.currentRound = null;
   clearTimers(room);
 
+  const gameId = crypto.randomUUID();
+  const rankings = rankPlayers(room);
+  const contenders = rankings.filter((player) => !room.knockedOut.has(player.id));
+  const winners = contenders
+    .filter((player, _, arr) => arr[0] && player.score === arr[0].score)
+    .map((player) => player.id);
+  const teamRankings = serializeTeams(room).sort((a, b) => b.score - a.score);
   io.to(room.id).emit("game:ended", {
+    gameId,
     reason,
-    rankings: serializePlayers(room).sort((a, b) => b.score - a.score),
-    winners: serializePlayers(room)
-      .sort((a, b) => b.score - a.score)
-      .filter((player, _, arr) => arr[0] && player.score === arr[0].score)
-      .map((player) => player.id),
-    reviewRows: room.roundHistory
+    rankings,
+    winners,
+    teamRankings,
+    winningTeams: teamRankings
+      .filter((team, _, arr) => arr[0] && team.score === arr[0].score)
+      .map((team) => team.id),
+    reviewRows: room.roundHistory,
+    eliminations: room.eliminations
   });
 
+  persistFinishedGame(
+    buildGameRecord(room, { gameId, reason, rankings, winners: new Set(winners) })
+  );
+  reseatKnockedOutPlayers(room);
   emitRoomState(room);
   maybeDeleteRoom(room);
 }
 
+// Elimination games rank survivors by score, then everyone else by how long
+// they lasted.
+function rankPlayers(room) {
+  const players = serializePlayers(room).sort((a, b) => b.score - a.score);
+  if (!room.settings.elimination) return players;
+  const knockedOut = room.eliminations
+    .toReversed()
+    .map((entry) => room.knockedOut.get(entry.playerId))
+    .filter(Boolean)
+    .map((player) => serializePlayer(room, player));
+  return [...players, ...knockedOut];
+}
+
+function buildGameRecord(room, { gameId, reason, rankings, winners }) {
+  const solveStats = new Map();
+  for (const round of room.roundHistory) {
+    for (const solver of round.solvers) {
+      const entry = solveStats.get(solver.playerId) ?? { wordsSolved: 0, totalSolveMs: 0 };
+      entry.wordsSolved += 1;
+      entry.totalSolveMs += solver.elapsedMs;
+      solveStats.set(solver.playerId, entry);
+    }
+  }
+
+  return {
+    id: gameId,
+    roomCode: room.id,
+    settings: { ...room.settings },
+    endReason: reason,
+    startedAt: room.gameStartedAt,
+    endedAt: nowMs(),
+    players: rankings.map((player, index) => ({
+      playerId: player.id,
+      profileId: player.profileId,
+      nickname: player.nickname,
+      teamId: player.teamId,
+      score: player.score,
+      rank: room.settings.elimination
+        ? index + 1
+        : rankings.findIndex((other) => other.score === player.score) + 1,
+      isWinner: winners.has(player.id),
+      wordsSolved: solveStats.get(player.id)?.wordsSolved ?? 0,
+      totalSolveMs: solveStats.get(player.id)?.totalSolveMs ?? 0,
+      bestStreak: (room.players.get(player.id) ?? room.knockedOut.get(player.id))?.bestStreak ?? 0
+    })),
+    rounds: room.roundHistory.map((round, roundIndex) => ({
+      roundIndex,
+      word: round.word,
+      reason: round.reason,
+      pointsAwarded: round.pointsAwarded,
+      solvers: round.solvers
+    }))
+  };
+}
+
+function persistFinishedGame(game) {
+  matchStore.saveGame(game).catch((error) => {
+    logger.error("game.persist_failed", {
+      roomCode: game.roomCode,
+      gameId: game.id,
+      error: formatUnknownError(error)
+    });
+  });
+}
+
 function startGlobalTicker(room) {
   room.globalTimer = setInterval(() => {
     if (!room.gameEndsAt) return;
@@ -264,43 +669,225 @@ function startGlobalTicker(room) {
   }, 1000);
 }
 
-function scheduleNextRound(room) {
+function scheduleNextRound(room, delayMs = room.settings.roundTransitionDelayMs) {
   if (room.roundTransitionTimer) {
     clearTimeout(room.roundTransitionTimer);
     room.roundTransitionTimer = null;
   }
 
+  room.nextRoundAt = nowMs() + delayMs;
   room.roundTransitionTimer = setTimeout(() => {
     room.roundTransitionTimer = null;
+    room.nextRoundAt = null;
     if (room.status !== "in_game" || room.currentRound) return;
     startNextRound(room);
-  }, ROUND_TRANSITION_DELAY_MS);
-}
-
-function finalizeRoundNoGuess(room) {
-  if (!room.currentRound || room.status !== "in_game") return;
-  room.roundHistory.push({
-    word: room.currentRound.word,
-    winnerPlayerId: null,
-    winnerNickname: null,
-    pointsAwarded: 0,
-    reason: "time_up"
-  });
-  const result = {
-    reason: "time_up",
-    word: room.currentRound.word,
-    winnerPlayerId: null,
-    pointsAwarded: 0
+  }, delayMs);
+}
+
+function stopRevealTimer(room) {
+  if (room.revealTimer) {
+    clearInterval(room.revealTimer);
+    room.revealTimer = null;
+  }
+}
+
+function roomGameMode(room) {
+  return getGameMode(room.settings.gameMode);
+}
+
+function currentRoundPoints(room) {
+  return roomGameMode(room).roundPoints(room.currentRound, room.settings);
+}
+
+function revealNextLetter(room) {
+  const round = room.currentRound;
+  if (!round || room.status !== "in_game") {
+    stopRevealTimer(room);
+    return;
+  }
+
+  const mode = roomGameMode(room);
+  if (!mode.canReveal(round)) {
+    stopRevealTimer(room);
+    return;
+  }
+
+  mode.reveal(round, room.settings);
+  round.revealCount += 1;
+
+  io.to(room.id).emit("game:reveal", {
+    display: round.display,
+    revealCount: round.revealCount,
+    points: currentRoundPoints(room)
+  });
+
+  if (!mode.canReveal(round)) {
+    stopRevealTimer(room);
+  }
+}
+
+function buildRoundSummary(round, reason) {
+  const letterGuesses = round.letterGuesses?.map((entry) => ({ ...entry }));
+  const letterPoints = letterGuesses?.reduce((total, entry) => total + entry.points, 0) ?? 0;
+  return {
+    word: round.word,
+    solvers: round.solvers.map((solver) => ({ ...solver })),
+    pointsAwarded: round.solvers.reduce((total, solver) => total + solver.points, letterPoints),
+    reason,
+    ...(letterGuesses ? { letterGuesses } : {})
   };
+}
+
+function finishRound(room, reason) {
+  const round = room.currentRound;
+  if (!round || room.status !== "in_game") return;
+
+  if (room.roundTimer) {
+    clearTimeout(room.roundTimer);
+    room.roundTimer = null;
+  }
+  stopRevealTimer(room);
+  clearBotTimers(room);
+
+  const solverIds = new Set(round.solvers.map((solver) => solver.playerId));
+  for (const player of room.players.values()) {
+    if (!solverIds.has(player.id)) {
+      player.streak = 0;
+    }
+  }
+
+  const summary = buildRoundSummary(round, reason);
+  room.roundHistory.push(summary);
+  metrics.rounds.inc({ outcome: reason });
+  logger.info("round.ended", {
+    roomCode: room.id,
+    reason,
+    word: summary.word,
+    solvers: summary.solvers.length
+  });
+  const firstSolver = summary.solvers[0] ?? null;
   room.currentRound = null;
-  io.to(room.id).emit("game:roundEnded", result);
+  io.to(room.id).emit("game:roundEnded", {
+    ...summary,
+    winnerPlayerId: firstSolver?.playerId ?? null,
+    winnerNickname: firstSolver?.nickname ?? null
+  });
+  if (room.settings.elimination && room.roundHistory.length % room.settings.eliminationInterval === 0) {
+    eliminatePlayers(room);
+    if (endIfLastPlayerStanding(room)) return;
+  }
+  emitRoomState(room);
   scheduleNextRound(room);
 }
 
+function countSolves(rounds) {
+  const solves = new Map();
+  for (const round of rounds) {
+    for (const solver of round.solvers) {
+      solves.set(solver.playerId, (solves.get(solver.playerId) ?? 0) + 1);
+    }
+  }
+  return solves;
+}
+
+// "lowest_score" knocks out the single lowest scorer, with fewer words solved
+// this game breaking a tie. A tie that still stands knocks out nobody, since in
+// first_guess scoring everyone but the solver is level after the first round.
+// "missed_word" knocks out everyone who solved none of the rounds since the
+// last knockout.
+function pickKnockouts(room) {
+  const contenders = [...room.players.values()];
+  if (room.settings.eliminationRule === "missed_word") {
+    const solves = countSolves(room.roundHistory.slice(-room.settings.eliminationInterval));
+    return contenders.filter((player) => !solves.has(player.id));
+  }
+  const solves = countSolves(room.roundHistory);
+  const lowest = Math.min(...contenders.map((player) => player.score));
+  const lowestScorers = contenders.filter((player) => player.score === lowest);
+  const fewestSolves = Math.min(...lowestScorers.map((player) => solves.get(player.id) ?? 0));
+  const knockedOut = lowestScorers.filter((player) => (solves.get(player.id) ?? 0) === fewestSolves);
+  return knockedOut.length === 1 ? knockedOut : [];
+}
+
+// Knocking out every remaining player is played on instead, since it would
+// leave nobody to win.
+function eliminatePlayers(room) {
+  const knockedOut = pickKnockouts(room);
+  if (knockedOut.length === 0 || knockedOut.length === room.players.size) return;
+
+  const round = room.roundHistory.length;
+  for (const player of knockedOut) {
+    room.eliminations.push({ playerId: player.id, nickname: player.nickname, score: player.score, round });
+    moveToSpectators(room, player);
+  }
+  logger.info("game.eliminated", {
+    roomCode: room.id,
+    round,
+    rule: room.settings.eliminationRule,
+    playerIds: knockedOut.map((player) => player.id),
+    remaining: room.players.size
+  });
+  io.to(room.id).emit("game:eliminated", {
+    players: knockedOut.map((player) => ({ playerId: player.id, nickname: player.nickname, score: player.score })),
+    round,
+    remainingPlayers: room.players.size,
+    nextRoundDurationMs: roundDurationFor(room)
+  });
+}
+
+// Knocked-out players watch the rest of the game as spectators under the same
+// id. The player record is kept for the rankings and so that one who was
+// disconnected can still resume into the spectator seats.
+function moveToSpectators(room, player) {
+  removePlayer(room, player.id);
+  room.knockedOut.set(player.id, player);
+  const socket = player.isBot || !player.connected ? null : socketById(player.socketId);
+  if (!socket) return;
+
+  const spectator = { id: player.id, socketId: null, profileId: player.profileId, nickname: player.nickname };
+  room.spectators.set(spectator.id, spectator);
+  delete socket.data.playerId;
+  bindSpectatorSocket(socket, room, spectator);
+  syncSocketData(socket);
+  socket.emit("room:spectating", {
+    roomCode: room.id,
+    spectatorId: spectator.id,
+    sessionToken: createSessionToken(room.id, spectator, "spectator")
+  });
+}
+
+// Knocked-out players still watching take their seats back, with their final
+// scores, once the game is over.
+function reseatKnockedOutPlayers(room) {
+  for (const player of room.knockedOut.values()) {
+    if (room.spectators.has(player.id)) {
+      promoteSpectator(room, player.id, player);
+    }
+  }
+  room.knockedOut.clear();
+  reassignHostIfNeeded(room);
+}
+
+function endIfLastPlayerStanding(room) {
+  if (room.status !== "in_game" || !room.settings.elimination || room.players.size > 1) {
+    return false;
+  }
+  endGame(room, "last_player_standing");
+  return true;
+}
+
+function roundDurationFor(room) {
+  const { roundDurationMs } = room.settings;
+  if (!room.settings.elimination) return roundDurationMs;
+  const scaled = Math.round(roundDurationMs * ELIMINATION_ROUND_SPEEDUP ** room.eliminations.length);
+  return Math.max(Math.min(roundDurationMs, ELIMINATION_MIN_ROUND_MS), scaled);
+}
+
 function startNextRound(room) {
   if (room.status !== "in_game") return;
 
-  const gameRemainingMs = Math.max(0, room.gameEndsAt - nowMs());
+  // Elimination games have no clock; they run until one player is left.
+  const gameRemainingMs = room.gameEndsAt === null ? Infinity : Math.max(0, room.gameEndsAt - nowMs());
   if (gameRemainingMs <= 0) {
     endGame(room, "time_up");
     return;
@@ -312,51 +899,151 @@ function startNextRound(room) {
     return;
   }
 
-  const roundDuration = Math.min(ROUND_DURATION_MS, gameRemainingMs);
+  const roundDuration = Math.min(roundDurationFor(room), gameRemainingMs);
   const startedAt = nowMs();
   const endsAt = startedAt + roundDuration;
 
   room.currentRound = {
     word: nextWord.word,
     hint: nextWord.hint,
-    display: toDisplayMask(nextWord.word),
+    ...roomGameMode(room).startRound(nextWord.word, room.settings),
+    revealCount: 0,
     startedAt,
     endsAt,
-    winnerPlayerId: null
+    solvers: []
   };
 
   io.to(room.id).emit("game:round", {
     display: room.currentRound.display,
     hint: room.currentRound.hint,
+    points: currentRoundPoints(room),
     roundDurationMs: roundDuration,
     roundEndsAt: endsAt
   });
 
+  armRoundTimers(room);
+}
+
+function armRoundTimers(room) {
   room.roundTimer = setTimeout(() => {
-    finalizeRoundNoGuess(room);
-  }, roundDuration);
+    finishRound(room, "time_up");
+  }, Math.max(0, room.currentRound.endsAt - nowMs()));
+
+  if (room.settings.revealIntervalMs > 0) {
+    room.revealTimer = setInterval(() => {
+      revealNextLetter(room);
+    }, room.settings.revealIntervalMs);
+  }
+
+  for (const player of room.players.values()) {
+    if (player.isBot) {
+      scheduleBotGuess(room, player);
+    }
+  }
+}
+
+// A wrong answer is another word from the game that the mode judges plainly
+// incorrect, so bots never land a close guess or a typo by accident.
+function pickBotMiss(room) {
+  const mode = roomGameMode(room);
+  const candidates = [...room.usedWords, ...room.wordQueue.slice(0, 20).map((row) => row.word)].filter(
+    (candidate) => mode.judgeGuess(candidate, room.currentRound, room.settings) === "incorrect"
+  );
+  return candidates[Math.floor(Math.random() * candidates.length)] ?? null;
+}
+
+function scheduleBotGuess(room, bot) {
+  const { accuracy, minDelayMs, maxDelayMs } = BOT_DIFFICULTIES[bot.botDifficulty];
+  const timer = setTimeout(() => {
+    room.botTimers.delete(timer);
+    const round = room.currentRound;
+    if (room.status !== "in_game" || !round || !room.players.has(bot.id)) return;
+
+    const guess = Math.random() < accuracy ? round.word : pickBotMiss(room);
+    if (!guess) {
+      scheduleBotGuess(room, bot);
+      return;
+    }
+    submitGuess(room, bot, guess, (result) => {
+      if (result.status === "close" || result.status === "incorrect") {
+        scheduleBotGuess(room, bot);
+      }
+    });
+  }, minDelayMs + Math.random() * (maxDelayMs - minDelayMs));
+  room.botTimers.add(timer);
+}
+
+function hasWordFilters(settings) {
+  return (
+    settings.categories.length > 0 ||
+    settings.minDifficulty > MIN_DIFFICULTY ||
+    settings.maxDifficulty < MAX_DIFFICULTY ||
+    settings.minWordLength > 1 ||
+    settings.maxWordLength < MAX_WORD_LENGTH
+  );
+}
+
+function filterWordsForRoom(room, words) {
+  const { categories, minDifficulty, maxDifficulty, minWordLength, maxWordLength, locale } =
+    room.settings;
+  const difficultyFiltered = minDifficulty > MIN_DIFFICULTY || maxDifficulty < MAX_DIFFICULTY;
+  return words.filter((row) => {
+    if (row.locale.split("-")[0] !== locale) return false;
+    if (categories.length > 0 && !categories.includes(row.category)) return false;
+    if (difficultyFiltered) {
+      if (row.difficulty === null) return false;
+      if (row.difficulty < minDifficulty || row.difficulty > maxDifficulty) return false;
+    }
+    return row.length >= minWordLength && row.length <= maxWordLength;
+  });
 }
 
 async function beginGame(room) {
   if (!isGameEnabled()) {
-    throw new Error("Game is currently paused by server.");
+    throw gameError("GAME_PAUSED", "Game is currently paused by server.");
+  }
+  const words = filterWordsForRoom(room, await fetchWords());
+  if (hasWordFilters(room.settings) && words.length < MIN_FILTERED_WORDS) {
+    throw gameError(
+      "NOT_ENOUGH_WORDS",
+      `Only ${words.length} words match this room's filters. At least ${MIN_FILTERED_WORDS} are needed.`
+    );
+  }
+  if (words.length === 0) {
+    throw gameError("NOT_ENOUGH_WORDS", `No words available for language "${room.settings.locale}" with this room's filters.`);
+  }
+  if (room.settings.elimination && room.players.size < 2) {
+    throw gameError("NOT_ENOUGH_PLAYERS", "Elimination games need at least 2 players.");
   }
-  const words = await fetchWords();
 
   room.status = "in_game";
+  metrics.gamesStarted.inc();
+  logger.info("game.started", {
+    roomCode: room.id,
+    gameMode: room.settings.gameMode,
+    players: room.players.size,
+    wordPool: words.length
+  });
   room.usedWords.clear();
   room.wordQueue = shuffleRows(words);
-  room.gameEndsAt = nowMs() + GAME_DURATION_MS;
+  room.gameStartedAt = nowMs();
+  room.gameEndsAt = room.settings.elimination ? null : room.gameStartedAt + room.settings.gameDurationMs;
   room.currentRound = null;
   room.roundHistory = [];
+  room.teamScores = {};
+  room.eliminations = [];
+  assignTeams(room);
 
   for (const player of room.players.values()) {
     player.score = 0;
+    player.streak = 0;
+    player.bestStreak = 0;
   }
 
   emitRoomState(room);
   io.to(room.id).emit("game:started", {
-    gameDurationMs: GAME_DURATION_MS
+    gameDurationMs: room.settings.elimination ? null : room.settings.gameDurationMs,
+    gameEndsAt: room.gameEndsAt
   });
   startGlobalTicker(room);
   startNextRound(room);
@@ -370,327 +1057,1462 @@ function resetForPlayAgain(room) {
   room.usedWords.clear();
   room.wordQueue = [];
   room.roundHistory = [];
+  room.teamScores = {};
+  room.eliminations = [];
 
   for (const player of [...room.players.values()]) {
-    if (!player.connected) {
-      room.players.delete(player.id);
+    if (!player.connected || player.isBot) {
+      removePlayer(room, player.id);
       continue;
     }
     player.score = 0;
+    player.streak = 0;
+    player.bestStreak = 0;
   }
 
-  if (!room.players.has(room.hostPlayerId)) {
-    const first = room.players.values().next().value;
-    room.hostPlayerId = first ? first.id : null;
+  reassignHostIfNeeded(room);
+}
+
+function bindPlayerSocket(socket, room, player) {
+  player.socketId = socket.id;
+  player.connected = true;
+  clearPlayerDropTimer(player);
+  socket.join(room.id);
+  socket.data.roomCode = room.id;
+  socket.data.playerId = player.id;
+}
+
+function createPlayer(nickname, profileId = null) {
+  return {
+    id: nanoid(),
+    socketId: null,
+    profileId,
+    nickname,
+    score: 0,
+    streak: 0,
+    bestStreak: 0,
+    teamId: null,
+    connected: false,
+    dropTimer: null,
+    nextLetterAt: 0,
+    isBot: false,
+    botDifficulty: null
+  };
+}
+
+function pickBotNickname(room) {
+  const taken = new Set(
+    [...room.players.values(), ...room.spectators.values()].map((member) => normalizeGuess(member.nickname))
+  );
+  const named = BOT_NAMES.map((name) => `${name} Bot`).find((name) => !taken.has(normalizeGuess(name)));
+  if (named) return named;
+  for (let index = 1; ; index += 1) {
+    const numbered = `Bot ${index}`;
+    if (!taken.has(normalizeGuess(numbered))) return numbered;
+  }
+}
+
+function addBot(room, difficulty = DEFAULT_BOT_DIFFICULTY) {
+  if (room.status !== "lobby") {
+    throw gameError("NOT_IN_LOBBY", "Bots can only be added in the lobby.");
+  }
+  if (!Object.hasOwn(BOT_DIFFICULTIES, difficulty)) {
+    throw gameError(
+      "INVALID_PAYLOAD",
+      `Bot difficulty must be one of: ${Object.keys(BOT_DIFFICULTIES).join(", ")}.`
+    );
+  }
+  if (room.players.size >= room.settings.maxPlayers) {
+    throw gameError("ROOM_FULL", "Room is full.");
   }
+
+  const bot = {
+    ...createPlayer(pickBotNickname(room)),
+    connected: true,
+    isBot: true,
+    botDifficulty: difficulty
+  };
+  room.players.set(bot.id, bot);
+  assignTeams(room);
+  return bot;
+}
+
+async function allocateRoomCode() {
+  for (let attempt = 0; attempt < ROOM_CODE_ATTEMPTS; attempt += 1) {
+    const roomCode = createRoomCode();
+    if (!(await rooms.isCodeTaken(roomCode))) {
+      return roomCode;
+    }
+  }
+  throw gameError("SERVER_BUSY", "Could not allocate a room code. Try again.");
 }
 
-function createRoomWithHost(socket, nickname) {
-  const roomCode = createRoomCode();
-  const playerId = socket.id;
-  console.log('creating room with host', playerId);
-  console.log('socket object', socket);
+function createRoomWithHost(socket, roomCode, nickname, profileId) {
+  const player = createPlayer(nickname, profileId);
+  const playerId = player.id;
   const room = {
     id: roomCode,
     status: "lobby",
     hostPlayerId: playerId,
+    settings: { ...DEFAULT_ROOM_SETTINGS },
     players: new Map(),
+    spectators: new Map(),
     usedWords: new Set(),
     wordQueue: [],
     currentRound: null,
+    gameStartedAt: null,
     gameEndsAt: null,
+    nextRoundAt: null,
     globalTimer: null,
     roundTimer: null,
+    revealTimer: null,
     roundTransitionTimer: null,
-    roundHistory: []
+    roundHistory: [],
+    teamScores: {},
+    chatHistory: [],
+    // Session and profile ids banned by the host for the lifetime of the room.
+    bannedIds: new Set(),
+    removedIds: new Set(),
+    botTimers: new Set(),
+    // Players knocked out of an elimination game, in order, and their records.
+    eliminations: [],
+    knockedOut: new Map()
   };
 
-  room.players.set(playerId, {
-    id: playerId,
-    socketId: socket.id,
-    nickname,
-    score: 0,
-    connected: true
-  });
+  room.players.set(playerId, player);
   rooms.set(roomCode, room);
-  socket.join(roomCode);
-  socket.data.roomCode = roomCode;
-  socket.data.playerId = playerId;
-  return room;
+  bindPlayerSocket(socket, room, player);
+  logger.info("room.created", { roomCode, playerId });
+  return { room, player };
 }
 
-function joinRoom(socket, room, nickname) {
-  if (room.status !== "lobby") {
-    throw new Error("Game already started. Joining is closed.");
+function assertNicknameAvailable(room, nickname) {
+  const duplicate = [...room.players.values(), ...room.spectators.values()].find(
+    (member) => normalizeGuess(member.nickname) === normalizeGuess(nickname)
+  );
+  if (duplicate) {
+    throw gameError("NICKNAME_TAKEN", "Nickname already used in this room.");
   }
-  if (room.players.size >= MAX_PLAYERS) {
-    throw new Error("Room is full.");
+}
+
+function assertProfileAvailable(room, profileId) {
+  const members = [...room.players.values(), ...room.spectators.values()];
+  if (members.some((member) => member.profileId === profileId)) {
+    throw gameError("PROFILE_IN_ROOM", "This profile is already in the room.");
   }
+}
 
-  const duplicate = [...room.players.values()].find(
-    (player) => normalizeGuess(player.nickname) === normalizeGuess(nickname)
-  );
-  if (duplicate) {
-    throw new Error("Nickname already used in this room.");
+function joinRoom(socket, room, nickname, profileId) {
+  if (room.status !== "lobby") {
+    throw gameError("GAME_IN_PROGRESS", "Game already started. Join as a spectator instead.");
   }
+  if (room.players.size >= room.settings.maxPlayers) {
+    throw gameError("ROOM_FULL", "Room is full. Join as a spectator instead.");
+  }
+  assertNotBanned(room, socket.id, profileId);
+  assertNicknameAvailable(room, nickname);
+  assertProfileAvailable(room, profileId);
+
+  const player = createPlayer(nickname, profileId);
+  room.players.set(player.id, player);
+  assignTeams(room);
+  bindPlayerSocket(socket, room, player);
+  return player;
+}
 
-  const playerId = socket.id;
-  room.players.set(playerId, {
-    id: playerId,
-    socketId: socket.id,
-    nickname,
-    score: 0,
-    connected: true
-  });
+function bindSpectatorSocket(socket, room, spectator) {
+  spectator.socketId = socket.id;
   socket.join(room.id);
   socket.data.roomCode = room.id;
-  socket.data.playerId = playerId;
+  socket.data.spectatorId = spectator.id;
 }
 
-function handleDisconnect(socket) {
-  const roomCode = socket.data.roomCode;
-  const playerId = socket.data.playerId;
-  if (!roomCode || !playerId) return;
+function joinAsSpectator(socket, room, nickname, { spectatorId = nanoid(), profileId = null } = {}) {
+  if (room.spectators.size >= MAX_SPECTATORS) {
+    throw gameError("SPECTATORS_FULL", "Spectator seats are full.");
+  }
+  assertNotBanned(room, socket.id, spectatorId, profileId);
+  assertNicknameAvailable(room, nickname);
+  if (profileId) {
+    assertProfileAvailable(room, profileId);
+  }
 
-  const room = rooms.get(roomCode);
-  if (!room) return;
+  const spectator = { id: spectatorId, socketId: null, profileId, nickname };
+  room.spectators.set(spectator.id, spectator);
+  bindSpectatorSocket(socket, room, spectator);
+  return spectator;
+}
 
+function promoteSpectator(room, spectatorId, seat = null) {
+  const spectator = room.spectators.get(spectatorId);
+  if (!spectator) {
+    throw gameError("SPECTATOR_NOT_FOUND", "Spectator not found.");
+  }
+  if (room.players.size >= room.settings.maxPlayers) {
+    throw gameError("ROOM_FULL", "Room is full.");
+  }
+
+  const socket = socketById(spectator.socketId);
+  if (!socket) {
+    throw gameError("SPECTATOR_DISCONNECTED", "Spectator is not connected.");
+  }
+
+  room.spectators.delete(spectator.id);
+  const player = seat ?? { ...createPlayer(spectator.nickname, spectator.profileId), id: spectator.id };
+  room.players.set(player.id, player);
+  assignTeams(room);
+  delete socket.data.spectatorId;
+  bindPlayerSocket(socket, room, player);
+  syncSocketData(socket);
+  socket.emit("room:promoted", {
+    roomCode: room.id,
+    playerId: player.id,
+    sessionToken: createSessionToken(room.id, player)
+  });
+  return player;
+}
+
+function validateRoomSettings(room, patch) {
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+    throw gameError("INVALID_SETTINGS", "Settings must be an object.");
+  }
+
+  const next = { ...room.settings };
+  for (const [key, value] of Object.entries(patch)) {
+    const range = ROOM_SETTING_RANGES[key];
+    const choices = ROOM_SETTING_CHOICES[key];
+    const list = ROOM_SETTING_LISTS[key];
+    if (range) {
+      if (!Number.isInteger(value) || value < range.min || value > range.max) {
+        throw gameError("INVALID_SETTINGS", `Setting "${key}" must be an integer between ${range.min} and ${range.max}.`);
+      }
+      next[key] = value;
+    } else if (choices) {
+      if (!choices.includes(value)) {
+        throw gameError("INVALID_SETTINGS", `Setting "${key}" must be one of: ${choices.join(", ")}.`);
+      }
+      next[key] = value;
+    } else if (list) {
+      if (!Array.isArray(value) || value.length > list.maxItems) {
+        throw gameError("INVALID_SETTINGS", `Setting "${key}" must be a list of at most ${list.maxItems} values.`);
+      }
+      const items = value.map((item) => normalizeGuess(item));
+      if (items.some((item) => !item || item.length > list.maxLength)) {
+        throw gameError("INVALID_SETTINGS", `Setting "${key}" values must be 1-${list.maxLength} characters.`);
+      }
+      next[key] = [...new Set(items)];
+    } else {
+      throw gameError("INVALID_SETTINGS", `Unknown setting "${key}".`);
+    }
+  }
+
+  if (next.revealIntervalMs > 0 && next.revealIntervalMs < MIN_REVEAL_INTERVAL_MS) {
+    throw gameError("INVALID_SETTINGS", `Reveal interval must be 0 (off) or at least ${MIN_REVEAL_INTERVAL_MS} ms.`);
+  }
+  if (next.roundDurationMs > next.gameDurationMs) {
+    throw gameError("INVALID_SETTINGS", "Round duration cannot be longer than the game duration.");
+  }
+  if (next.maxPlayers < room.players.size) {
+    throw gameError("INVALID_SETTINGS", "Player cap cannot be lower than the current number of players.");
+  }
+  if (next.minDifficulty > next.maxDifficulty) {
+    throw gameError("INVALID_SETTINGS", "Minimum difficulty cannot be above the maximum difficulty.");
+  }
+  if (next.minWordLength > next.maxWordLength) {
+    throw gameError("INVALID_SETTINGS", "Minimum word length cannot be above the maximum word length.");
+  }
+  if (next.teamCount === 1 || next.teamCount > next.maxPlayers) {
+    throw gameError("INVALID_SETTINGS", "Team count must be 0 (off) or between 2 and the player cap.");
+  }
+  if (next.elimination && next.teamCount > 0) {
+    throw gameError("INVALID_SETTINGS", "Elimination games cannot be played in teams.");
+  }
+  return next;
+}
+
+function resumeSpectator(socket, room, spectatorId, { nickname, profileId = null }) {
+  const existing = room.spectators.get(spectatorId);
+  if (existing) {
+    const previousSocketId = existing.socketId;
+    bindSpectatorSocket(socket, room, existing);
+    if (previousSocketId && previousSocketId !== socket.id) {
+      socketById(previousSocketId)?.disconnect(true);
+    }
+    return existing;
+  }
+  if (!nickname) {
+    throw gameError("SESSION_EXPIRED", "Session has expired.");
+  }
+  return joinAsSpectator(socket, room, nickname, { spectatorId, profileId });
+}
+
+function resumePlayer(socket, sessionToken) {
+  const session = verifySessionToken(sessionToken);
+  if (!session) {
+    throw gameError("SESSION_INVALID", "Session is invalid.");
+  }
+
+  const room = rooms.get(session.roomCode);
+  if (!room) {
+    throw gameError("ROOM_NOT_FOUND", "Room not found.");
+  }
+  assertNotBanned(room, session.playerId);
+  if (room.removedIds.has(session.playerId)) {
+    throw gameError("SESSION_EXPIRED", "Session has expired.");
+  }
+  if (session.role === "spectator") {
+    return { room, spectator: resumeSpectator(socket, room, session.playerId, { nickname: session.nickname }) };
+  }
+
+  const player = room.players.get(session.playerId);
+  if (!player) {
+    const knockedOut = room.knockedOut.get(session.playerId);
+    if (knockedOut) {
+      return { room, spectator: resumeSpectator(socket, room, knockedOut.id, knockedOut) };
+    }
+    throw gameError("SESSION_EXPIRED", "Session has expired.");
+  }
+
+  const previousSocketId = player.socketId;
+  bindPlayerSocket(socket, room, player);
+  if (previousSocketId && previousSocketId !== socket.id) {
+    socketById(previousSocketId)?.disconnect(true);
+  }
+  return { room, player };
+}
+
+function dropDisconnectedPlayer(room, playerId) {
   const player = room.players.get(playerId);
-  if (!player) return;
+  if (!player || player.connected) return;
+
+  // Games keep running while disconnected players can still resume; once the
+  // last one's grace period runs out the game ends with them on the scoreboard.
+  const lastHuman = ![...room.players.values()].some((other) => !other.isBot && other.id !== playerId);
+  if (lastHuman && room.status === "in_game") {
+    endGame(room, "all_players_left");
+  }
+  removePlayer(room, playerId);
+  if (!hasHumanPlayers(room)) {
+    deleteRoom(room);
+    return;
+  }
+  if (endIfLastPlayerStanding(room)) return;
+  emitRoomState(room);
+}
+
+// Picks the part of a chat message that would give the answer away, if any:
+// the whole message or a run of words as long as the answer. A run that is
+// only close leaks nothing for short answers, where everyday words like "at"
+// are one edit from "cat".
+function findLeakedGuess(room, text) {
+  const answerKey = toAnswerKey(room.currentRound.word, room.settings);
+  const tokens = text.split(" ").map((token) => token.replace(/^\p{P}+|\p{P}+$/gu, ""));
+  const span = answerKey.split(" ").length;
+  const candidates = [text];
+  for (let i = 0; i + span <= tokens.length; i += 1) {
+    candidates.push(tokens.slice(i, i + span).join(" "));
+  }
 
-  if (room.status === "in_game") {
-    player.connected = false;
+  const verdicts = candidates.map((candidate) => ({
+    candidate,
+    verdict: roomGameMode(room).judgeGuess(candidate, room.currentRound, room.settings)
+  }));
+  const closeRunsLeak = [...answerKey].length >= TYPO_TOLERANCE_MIN_LENGTH;
+  const best =
+    verdicts.find(({ verdict }) => verdict === "correct" || verdict === "typo") ??
+    verdicts.find(({ verdict }, idx) => verdict === "close" && (idx === 0 || closeRunsLeak));
+  return best?.candidate ?? null;
+}
+
+function takeChatRateLimitSlot(socket) {
+  const current = nowMs();
+  const recent = (socket.data.chatSentAt ?? []).filter(
+    (sentAt) => current - sentAt < CHAT_RATE_LIMIT_WINDOW_MS
+  );
+  if (recent.length >= CHAT_RATE_LIMIT_COUNT) {
+    socket.data.chatSentAt = recent;
+    return false;
+  }
+  recent.push(current);
+  socket.data.chatSentAt = recent;
+  return true;
+}
+
+function postChatMessage(room, sender, role, text) {
+  const message = {
+    id: nanoid(),
+    senderId: sender.id,
+    nickname: sender.nickname,
+    role,
+    text,
+    sentAt: nowMs()
+  };
+  room.chatHistory.push(message);
+  if (room.chatHistory.length > CHAT_HISTORY_LIMIT) {
+    room.chatHistory.splice(0, room.chatHistory.length - CHAT_HISTORY_LIMIT);
+  }
+  io.to(room.id).emit("room:chat", message);
+  return message;
+}
+
+function maybeFinishSolvedRound(room) {
+  const round = room.currentRound;
+  if (!round || round.solvers.length === 0) return false;
+
+  const solverIds = new Set(round.solvers.map((solver) => solver.playerId));
+  if (!getConnectedPlayers(room).every((player) => solverIds.has(player.id))) return false;
+  finishRound(room, "guessed");
+  return true;
+}
+
+function submitGuess(room, player, guess, reply) {
+  const round = room.currentRound;
+  if (room.status !== "in_game" || !round || !player.connected) return;
+
+  const normalizedGuess = normalizeGuess(guess, room.settings.locale);
+  if (!normalizedGuess) return;
+  if (round.solvers.some((solver) => solver.playerId === player.id)) {
+    reply({ status: "already_solved" });
+    return;
+  }
+  if (room.settings.scoringMode === "first_guess" && round.solvers.length > 0) return;
+
+  const mode = roomGameMode(room);
+  const verdict = mode.judgeGuess(normalizedGuess, round, room.settings);
+  const accepted = verdict === "correct" || verdict === "typo";
+  metrics.guesses.inc({ result: accepted ? "correct" : "incorrect" });
+  if (!accepted) {
+    reply({ status: verdict });
+    return;
+  }
+
+  player.streak += 1;
+  player.bestStreak = Math.max(player.bestStreak, player.streak);
+  const solveIndex = round.solvers.length;
+  const points = mode.scoreSolve(round, room.settings, {
+    verdict,
+    solveIndex,
+    streak: player.streak,
+    now: nowMs()
+  });
+  awardPoints(room, player, points);
+  round.solvers.push({
+    playerId: player.id,
+    nickname: player.nickname,
+    teamId: player.teamId,
+    points,
+    order: solveIndex + 1,
+    elapsedMs: nowMs() - round.startedAt
+  });
+
+  reply({ status: "correct", word: round.word, points, typo: verdict === "typo" });
+  if (room.settings.scoringMode === "first_guess") {
+    finishRound(room, "guessed");
+    return;
+  }
+
+  io.to(room.id).emit("game:solved", {
+    playerId: player.id,
+    nickname: player.nickname,
+    order: solveIndex + 1,
+    points
+  });
+  if (!maybeFinishSolvedRound(room)) {
     emitRoomState(room);
-    if (getConnectedPlayers(room).length === 0) {
-      endGame(room, "all_players_left");
+  }
+}
+
+function submitLetterGuess(room, player, letter, reply) {
+  const round = room.currentRound;
+  if (room.status !== "in_game" || !round) {
+    throw gameError("GAME_NOT_IN_PROGRESS", "No round is in progress.");
+  }
+  const mode = roomGameMode(room);
+  if (!mode.guessLetter) {
+    throw gameError("WRONG_GAME_MODE", "Letter guesses are only allowed in hangman mode.");
+  }
+  if (round.solvers.some((solver) => solver.playerId === player.id)) {
+    throw gameError("ALREADY_SOLVED", "You already solved this word.");
+  }
+  const waitMs = player.nextLetterAt - nowMs();
+  if (waitMs > 0) {
+    throw gameError("RATE_LIMITED", `Wait ${Math.ceil(waitMs / 1000)}s before guessing another letter.`);
+  }
+
+  const result = mode.guessLetter(round, letter, room.settings, player);
+  player.nextLetterAt = nowMs() + LETTER_GUESS_COOLDOWN_MS;
+  if (result.hits > 0) {
+    round.revealCount += 1;
+  }
+  awardPoints(room, player, result.points);
+  io.to(room.id).emit("game:letter", {
+    playerId: player.id,
+    nickname: player.nickname,
+    letter: result.letter,
+    hits: result.hits,
+    display: round.display,
+    wrongLetters: round.wrongLetters,
+    points: currentRoundPoints(room)
+  });
+
+  // Uncovering the last letter solves the word, and nobody else can score on
+  // an answer that is now on everyone's screen.
+  if (result.complete) {
+    submitGuess(room, player, round.word, reply);
+    if (room.currentRound === round) {
+      finishRound(room, "guessed");
     }
+  } else {
+    emitRoomState(room);
+  }
+  return result;
+}
+
+function detachSocket(socketId, roomCode) {
+  const socket = socketById(socketId);
+  if (!socket) return null;
+  socket.leave(roomCode);
+  delete socket.data.roomCode;
+  delete socket.data.playerId;
+  delete socket.data.spectatorId;
+  syncSocketData(socket);
+  return socket;
+}
+
+function settleRoomAfterRemoval(room) {
+  if (!hasHumanPlayers(room)) {
+    deleteRoom(room);
     return;
   }
+  if (endIfLastPlayerStanding(room)) return;
+  if (room.status === "in_game" && maybeFinishSolvedRound(room)) return;
+  emitRoomState(room);
+}
 
-  room.players.delete(playerId);
-  if (room.hostPlayerId === playerId) {
-    const first = room.players.values().next().value;
-    room.hostPlayerId = first ? first.id : null;
+function kickMember(room, memberId, reason, event = "room:kicked") {
+  const player = room.players.get(memberId);
+  const member = player ?? room.spectators.get(memberId);
+  if (!member) {
+    throw gameError("PLAYER_NOT_FOUND", "Player not found.");
   }
 
-  if (room.players.size === 0) {
-    clearTimers(room);
-    rooms.delete(room.id);
+  room.removedIds.add(member.id);
+  const socket = detachSocket(member.socketId, room.id);
+  socket?.emit(event, { roomCode: room.id, reason });
+  if (player) {
+    removePlayer(room, memberId);
+  } else {
+    room.spectators.delete(memberId);
+  }
+  settleRoomAfterRemoval(room);
+}
+
+function banMember(room, memberId) {
+  const member = room.players.get(memberId) ?? room.spectators.get(memberId);
+  if (!member) {
+    throw gameError("PLAYER_NOT_FOUND", "Player not found.");
+  }
+  // A ban covers the member's session, the connection they are on and their
+  // profile. Someone who comes back on a new connection without a profile
+  // token is a new member as far as the room can tell.
+  for (const id of [member.id, member.socketId, member.profileId]) {
+    if (id) room.bannedIds.add(id);
+  }
+  kickMember(room, memberId, "banned_by_host", "room:banned");
+}
+
+function assertNotBanned(room, ...ids) {
+  if (ids.some((id) => id && room.bannedIds.has(id))) {
+    throw gameError("BANNED", "You are banned from this room.");
+  }
+}
+
+function transferHost(room, playerId) {
+  const player = room.players.get(playerId);
+  if (!player) {
+    throw gameError("PLAYER_NOT_FOUND", "Player not found.");
+  }
+  if (player.isBot) {
+    throw gameError("CANNOT_TARGET_BOT", "Host cannot be given to a bot.");
+  }
+  if (!player.connected) {
+    throw gameError("PLAYER_DISCONNECTED", "Host can only be given to a connected player.");
+  }
+  room.hostPlayerId = player.id;
+  socketById(player.socketId)?.emit("room:hostAssigned", { roomCode: room.id });
+}
+
+function closeRoom(room, reason) {
+  io.to(room.id).emit("room:closed", { roomCode: room.id, reason });
+  for (const member of [...room.players.values(), ...room.spectators.values()]) {
+    detachSocket(member.socketId, room.id);
+  }
+  deleteRoom(room);
+}
+
+function handleSpectatorDisconnect(socket) {
+  const room = rooms.get(socket.data.roomCode);
+  const spectator = room?.spectators.get(socket.data.spectatorId);
+  if (!spectator || spectator.socketId !== socket.id) return;
+
+  room.spectators.delete(spectator.id);
+  emitRoomState(room);
+}
+
+function startPlayerDropTimer(room, player) {
+  clearPlayerDropTimer(player);
+  player.dropTimer = setTimeout(() => {
+    player.dropTimer = null;
+    dropDisconnectedPlayer(room, player.id);
+  }, RECONNECT_GRACE_MS);
+}
+
+function handleDisconnect(socket) {
+  // Sockets closed during shutdown must not end games that were just snapshotted.
+  if (shuttingDown) return;
+
+  if (socket.data.spectatorId) {
+    handleSpectatorDisconnect(socket);
+    return;
+  }
+
+  const roomCode = socket.data.roomCode;
+  const playerId = socket.data.playerId;
+  if (!roomCode || !playerId) return;
+
+  const room = rooms.get(roomCode);
+  if (!room) return;
+
+  const player = room.players.get(playerId);
+  if (!player || player.socketId !== socket.id) return;
+
+  // Only games hold a seat through the grace period; in the lobby or on the
+  // results screen the player leaves straight away and frees the seat and host.
+  if (room.status !== "in_game") {
+    removePlayer(room, playerId);
+    settleRoomAfterRemoval(room);
     return;
   }
+
+  player.connected = false;
+  player.socketId = null;
+  startPlayerDropTimer(room, player);
+
+  if (maybeFinishSolvedRound(room)) return;
   emitRoomState(room);
 }
 
-io.on("connection", (socket) => {
-  socket.on("room:create", ({ nickname } = {}, callback) => {
+// Stands in for a socket connected to another instance while this instance,
+// which owns the room, handles one of its events.
+function createRemoteSocket(socketId, data = {}) {
+  const handlers = new Map();
+  return {
+    id: socketId,
+    remote: true,
+    data: { ...data },
+    handlers,
+    on(event, handler) {
+      handlers.set(event, handler);
+    },
+    join(roomCode) {
+      io.in(socketId).socketsJoin(roomCode);
+    },
+    leave(roomCode) {
+      io.in(socketId).socketsLeave(roomCode);
+    },
+    emit(event, payload) {
+      io.to(socketId).emit(event, payload);
+    },
+    disconnect(close) {
+      io.in(socketId).disconnectSockets(close);
+    }
+  };
+}
+
+function socketById(socketId) {
+  if (!socketId) return null;
+  return io.sockets.sockets.get(socketId) ?? (rooms.clustered ? createRemoteSocket(socketId) : null);
+}
+
+function pickRoutedSocketData(data) {
+  return Object.fromEntries(
+    ROUTED_SOCKET_FIELDS.filter((field) => data[field] !== undefined).map((field) => [field, data[field]])
+  );
+}
+
+function applyRoutedSocketData(socket, data) {
+  for (const field of ROUTED_SOCKET_FIELDS) {
+    if (data[field] === undefined) {
+      delete socket.data[field];
+    } else {
+      socket.data[field] = data[field];
+    }
+  }
+}
+
+function syncSocketData(socket) {
+  if (socket.remote) {
+    rooms.publishSocketData(socket.id, pickRoutedSocketData(socket.data));
+  }
+}
+
+function findRemoteRoomCode(socket, event, payload) {
+  if (!rooms.clustered || event === "room:create" || event === "clock:sync") return null;
+  let roomCode = socket.data.roomCode;
+  if (event === "room:join") {
+    roomCode = normalizeText(payload?.roomCode).toUpperCase();
+  } else if (event === "room:resume") {
+    roomCode = verifySessionToken(payload?.sessionToken)?.roomCode;
+  }
+  return roomCode && !rooms.get(roomCode) ? roomCode : null;
+}
+
+// Sends an event to the instance that owns its room. Resolves false when no
+// instance owns it, so the local handler can answer "Room not found".
+async function forwardRoomEvent(socket, roomCode, event, payload, callback) {
+  let reply;
+  try {
+    reply = await rooms.forward(roomCode, {
+      event,
+      payload,
+      socketId: socket.id,
+      data: pickRoutedSocketData(socket.data)
+    });
+  } catch (error) {
+    logger.error("rooms.forward_failed", { roomCode, event, error: formatUnknownError(error) });
+    callback?.({ ok: false, code: "ROOM_UNAVAILABLE", message: "Room is temporarily unavailable." });
+    return true;
+  }
+  if (!reply) return false;
+
+  applyRoutedSocketData(socket, reply.data);
+  if (reply.response !== undefined) {
+    callback?.(reply.response);
+  }
+  return true;
+}
+
+async function handleForwardedRoomEvent({ event, payload, socketId, data }) {
+  const socket = createRemoteSocket(socketId, data);
+  if (event === "disconnect") {
+    handleDisconnect(socket);
+    return { data: socket.data };
+  }
+
+  registerRoomHandlers(socket);
+  const handler = socket.handlers.get(event);
+  if (!handler) return { data: socket.data };
+  const response = await new Promise((resolve) => {
+    Promise.resolve(handler(payload, resolve))
+      .catch((error) => {
+        logger.error("rooms.forwarded_event_failed", { event, socketId, error: formatUnknownError(error) });
+        resolve({ ok: false, code: "INTERNAL_ERROR", message: "Internal server error." });
+      })
+      .finally(() => resolve(undefined));
+  });
+  return { response, data: socket.data };
+}
+
+rooms.onForward((message) =>
+  message.admin ? handleForwardedAdminAction(message) : handleForwardedRoomEvent(message)
+);
+rooms.onSocketData((socketId, data) => {
+  const socket = io.sockets.sockets.get(socketId);
+  if (socket) {
+    applyRoutedSocketData(socket, data);
+  }
+});
+
+// Times every handler and logs its outcome. The outcome comes from the ack
+// payload, so handlers without an ack are logged as ok.
+function observeHandler(socket, event, handler) {
+  return (...args) => {
+    const stopTimer = metrics.eventDuration.startTimer({ event });
+    let failure = null;
+    const callback = args.at(-1);
+    if (typeof callback === "function") {
+      args[args.length - 1] = (response) => {
+        if (response?.ok === false) {
+          failure = response;
+        }
+        callback(response);
+      };
+    }
+
+    return Promise.resolve(handler(...args)).finally(() => {
+      const durationMs = Math.round(stopTimer() * 1000);
+      logger[failure ? "warn" : "info"]("socket.event", {
+        event,
+        socketId: socket.id,
+        roomCode: socket.data.roomCode ?? null,
+        playerId: socket.data.playerId ?? socket.data.spectatorId ?? null,
+        forwarded: Boolean(socket.remote),
+        durationMs,
+        outcome: failure ? "error" : "ok",
+        ...(failure ? { code: failure.code, error: failure.message } : {})
+      });
+    });
+  };
+}
+
+// Parses the payload against the event's schema before the handler runs. A
+// client that sends only an ack gets it as the callback.
+function withSchema(socket, event, handler) {
+  return (payload, callback) => {
+    if (typeof payload === "function" && callback === undefined) {
+      callback = payload;
+      payload = undefined;
+    }
+    let parsed;
+    try {
+      parsed = parseEventPayload(event, payload);
+    } catch (error) {
+      replyWithError(socket, error, typeof callback === "function" ? callback : null);
+      return;
+    }
+    return handler(parsed, typeof callback === "function" ? callback : undefined);
+  };
+}
+
+function registerRoomHandlers(socket) {
+  const on = (event, handler) =>
+    socket.on(event, observeHandler(socket, event, withSchema(socket, event, handler)));
+
+  on("room:create", async ({ nickname, profileToken } = {}, callback) => {
+    try {
+      if (!isGameEnabled()) {
+        throw gameError("GAME_PAUSED", "Game is paused by admin.");
+      }
+      if (countActiveRooms() >= runtimeConfig.maxActiveRooms) {
+        throw gameError("SERVER_BUSY", "Server busy. Room limit reached.");
+      }
+      const profile = resolveProfile(profileToken);
+      const roomCode = await allocateRoomCode();
+      const { room, player } = createRoomWithHost(socket, roomCode, nickname, profile.profileId);
+      emitRoomState(room);
+      callback?.({
+        ok: true,
+        roomCode: room.id,
+        playerId: player.id,
+        sessionToken: createSessionToken(room.id, player),
+        ...profile
+      });
+    } catch (error) {
+      replyWithError(socket, error, callback);
+    }
+  });
+
+  on("room:join", ({ roomCode, nickname, asSpectator = false, profileToken } = {}, callback) => {
     try {
       if (!isGameEnabled()) {
-        throw new Error("Game is paused by admin.");
+        throw gameError("GAME_PAUSED", "Game is paused by admin.");
       }
-      if (countActiveRooms() >= MAX_ACTIVE_ROOMS) {
-        throw new Error("Server busy. Room limit reached.");
+      const room = rooms.get(roomCode);
+      if (!room) {
+        throw gameError("ROOM_NOT_FOUND", "Room not found.");
       }
-      const safeNickname = normalizeText(nickname);
-      if (!safeNickname) {
-        throw new Error("Nickname is required.");
+      const profile = resolveProfile(profileToken);
+      if (asSpectator) {
+        const spectator = joinAsSpectator(socket, room, nickname, {
+          profileId: profile.profileId
+        });
+        emitRoomState(room);
+        callback?.({
+          ok: true,
+          role: "spectator",
+          spectatorId: spectator.id,
+          sessionToken: createSessionToken(room.id, spectator, "spectator"),
+          ...profile,
+          ...buildRoomSnapshot(room)
+        });
+        return;
       }
+      const player = joinRoom(socket, room, nickname, profile.profileId);
+      emitRoomState(room);
+      callback?.({
+        ok: true,
+        roomCode: room.id,
+        playerId: player.id,
+        sessionToken: createSessionToken(room.id, player),
+        ...profile,
+        chatHistory: room.chatHistory
+      });
+    } catch (error) {
+      replyWithError(socket, error, callback);
+    }
+  });
 
-      const room = createRoomWithHost(socket, safeNickname);
+  on("room:resume", ({ sessionToken } = {}, callback) => {
+    try {
+      const { room, player, spectator } = resumePlayer(socket, sessionToken);
       emitRoomState(room);
-      callback?.({ ok: true, roomCode: room.id, playerId: socket.id });
+      callback?.({
+        ok: true,
+        ...(player
+          ? { role: "player", playerId: player.id }
+          : { role: "spectator", spectatorId: spectator.id }),
+        ...buildRoomSnapshot(room)
+      });
     } catch (error) {
-      callback?.({ ok: false, message: error.message });
-      emitServerError(socket, error.message);
+      replyWithError(socket, error, callback);
     }
   });
 
-  socket.on("room:join", ({ roomCode, nickname } = {}, callback) => {
+  on("room:updateSettings", ({ settings } = {}, callback) => {
     try {
-      if (!isGameEnabled()) {
-        throw new Error("Game is paused by admin.");
+      const roomCode = socket.data.roomCode;
+      const playerId = socket.data.playerId;
+      const room = rooms.get(roomCode);
+      if (!room || !playerId) {
+        throw gameError("ROOM_NOT_FOUND", "Room not found.");
       }
-      const code = normalizeText(roomCode).toUpperCase();
-      const safeNickname = normalizeText(nickname);
-      if (!code || !safeNickname) {
-        throw new Error("Room code and nickname are required.");
+      if (room.status !== "lobby") {
+        throw gameError("NOT_IN_LOBBY", "Settings can only be changed in the lobby.");
       }
+      if (room.hostPlayerId !== playerId) {
+        throw gameError("NOT_HOST", "Only host can change settings.");
+      }
+      room.settings = validateRoomSettings(room, settings);
+      assignTeams(room);
+      emitRoomState(room);
+      callback?.({ ok: true, settings: room.settings });
+    } catch (error) {
+      replyWithError(socket, error, callback);
+    }
+  });
 
-      const room = rooms.get(code);
-      if (!room) {
-        throw new Error("Room not found.");
+  function requireHostRoom(action) {
+    const room = rooms.get(socket.data.roomCode);
+    const playerId = socket.data.playerId;
+    if (!room || !playerId) {
+      throw gameError("ROOM_NOT_FOUND", "Room not found.");
+    }
+    if (room.hostPlayerId !== playerId) {
+      throw gameError("NOT_HOST", `Only host can ${action}.`);
+    }
+    return room;
+  }
+
+  on("room:kick", ({ playerId } = {}, callback) => {
+    try {
+      const room = requireHostRoom("kick players");
+      if (playerId === socket.data.playerId) {
+        throw gameError("CANNOT_TARGET_SELF", "Host cannot kick themselves.");
+      }
+      kickMember(room, playerId, "kicked_by_host");
+      callback?.({ ok: true });
+    } catch (error) {
+      replyWithError(socket, error, callback);
+    }
+  });
+
+  on("room:ban", ({ playerId } = {}, callback) => {
+    try {
+      const room = requireHostRoom("ban players");
+      if (playerId === socket.data.playerId) {
+        throw gameError("CANNOT_TARGET_SELF", "Host cannot ban themselves.");
+      }
+      banMember(room, playerId);
+      callback?.({ ok: true });
+    } catch (error) {
+      replyWithError(socket, error, callback);
+    }
+  });
+
+  on("room:transferHost", ({ playerId } = {}, callback) => {
+    try {
+      const room = requireHostRoom("transfer host");
+      transferHost(room, playerId);
+      emitRoomState(room);
+      callback?.({ ok: true, hostPlayerId: room.hostPlayerId });
+    } catch (error) {
+      replyWithError(socket, error, callback);
+    }
+  });
+
+  on("room:addBot", ({ difficulty } = {}, callback) => {
+    try {
+      const room = requireHostRoom("add bots");
+      const bot = addBot(room, difficulty);
+      emitRoomState(room);
+      callback?.({ ok: true, playerId: bot.id });
+    } catch (error) {
+      replyWithError(socket, error, callback);
+    }
+  });
+
+  on("room:chooseTeam", ({ teamId } = {}, callback) => {
+    try {
+      const roomCode = socket.data.roomCode;
+      const playerId = socket.data.playerId;
+      const room = rooms.get(roomCode);
+      const player = room?.players.get(playerId);
+      if (!room || !player) {
+        throw gameError("ROOM_NOT_FOUND", "Room not found.");
+      }
+      if (room.status !== "lobby") {
+        throw gameError("NOT_IN_LOBBY", "Teams can only be changed in the lobby.");
+      }
+      if (!getActiveTeams(room).some((team) => team.id === teamId)) {
+        throw gameError("TEAM_NOT_FOUND", "Team not found.");
+      }
+      player.teamId = teamId;
+      emitRoomState(room);
+      callback?.({ ok: true, teamId });
+    } catch (error) {
+      replyWithError(socket, error, callback);
+    }
+  });
+
+  on("room:promoteSpectator", ({ spectatorId } = {}, callback) => {
+    try {
+      const roomCode = socket.data.roomCode;
+      const playerId = socket.data.playerId;
+      const room = rooms.get(roomCode);
+      if (!room || !playerId) {
+        throw gameError("ROOM_NOT_FOUND", "Room not found.");
+      }
+      if (room.status === "in_game") {
+        throw gameError("GAME_IN_PROGRESS", "Spectators can only be promoted between games.");
       }
-      joinRoom(socket, room, safeNickname);
+      if (room.hostPlayerId !== playerId) {
+        throw gameError("NOT_HOST", "Only host can promote spectators.");
+      }
+      const player = promoteSpectator(room, spectatorId);
       emitRoomState(room);
-      callback?.({ ok: true, roomCode: room.id, playerId: socket.id });
+      callback?.({ ok: true, playerId: player.id });
     } catch (error) {
-      callback?.({ ok: false, message: error.message });
-      emitServerError(socket, error.message);
+      replyWithError(socket, error, callback);
     }
   });
 
-  socket.on("game:start", async (_payload, callback) => {
+  on("game:start", async (_payload, callback) => {
     try {
       const roomCode = socket.data.roomCode;
       const playerId = socket.data.playerId;
       const room = rooms.get(roomCode);
       if (!room || !playerId) {
-        throw new Error("Room not found.");
+        throw gameError("ROOM_NOT_FOUND", "Room not found.");
       }
       if (room.status !== "lobby") {
-        throw new Error("Game already started.");
+        throw gameError("GAME_IN_PROGRESS", "Game already started.");
       }
       if (room.hostPlayerId !== playerId) {
-        throw new Error("Only host can start the game.");
+        throw gameError("NOT_HOST", "Only host can start the game.");
       }
       await beginGame(room);
       callback?.({ ok: true });
     } catch (error) {
-      const message = formatUnknownError(error);
-      console.error(`[game:start] room=${socket.data.roomCode ?? "unknown"} player=${socket.data.playerId ?? "unknown"} error=${message}`);
-      callback?.({ ok: false, message });
-      emitServerError(socket, message);
+      replyWithError(socket, error, callback);
     }
   });
 
-  socket.on("game:guess", ({ guess } = {}) => {
+  on("game:guess", ({ guess } = {}) => {
+    if (socket.data.spectatorId) {
+      emitServerError(socket, "Spectators cannot guess.", "SPECTATOR_CANNOT_GUESS");
+      return;
+    }
     const roomCode = socket.data.roomCode;
     const playerId = socket.data.playerId;
     const room = rooms.get(roomCode);
-    if (!room || !playerId || room.status !== "in_game" || !room.currentRound) return;
+    if (!room || !playerId) return;
 
     const player = room.players.get(playerId);
-    if (!player || !player.connected) return;
-
-    const normalizedGuess = normalizeGuess(guess);
-    if (!normalizedGuess) return;
-    if (room.currentRound.winnerPlayerId) return;
-
-    if (normalizedGuess === room.currentRound.word) {
-      room.currentRound.winnerPlayerId = player.id;
-      const points = CORRECT_GUESS_POINTS;
-      player.score += points;
-      room.roundHistory.push({
-        word: room.currentRound.word,
-        winnerPlayerId: player.id,
-        winnerNickname: player.nickname,
-        pointsAwarded: points,
-        reason: "guessed"
-      });
-      socket.emit("game:guessResult", {
-        status: "correct",
-        word: room.currentRound.word,
-        points
+    if (!player) return;
+
+    submitGuess(room, player, guess, (result) => {
+      socket.emit("game:guessResult", result);
+    });
+  });
+
+  on("game:letter", ({ letter } = {}, callback) => {
+    try {
+      if (socket.data.spectatorId) {
+        throw gameError("SPECTATOR_CANNOT_GUESS", "Spectators cannot guess.");
+      }
+      const room = rooms.get(socket.data.roomCode);
+      const player = room?.players.get(socket.data.playerId);
+      if (!room || !player) {
+        throw gameError("ROOM_NOT_FOUND", "Room not found.");
+      }
+      const { letter: guessed, hits, points } = submitLetterGuess(room, player, letter, (result) => {
+        socket.emit("game:guessResult", result);
       });
-      if (room.roundTimer) {
-        clearTimeout(room.roundTimer);
-        room.roundTimer = null;
+      callback?.({ ok: true, letter: guessed, hits, points });
+    } catch (error) {
+      replyWithError(socket, error, callback);
+    }
+  });
+
+  on("room:chat", ({ text } = {}, callback) => {
+    try {
+      const room = rooms.get(socket.data.roomCode);
+      const player = room?.players.get(socket.data.playerId);
+      const spectator = room?.spectators.get(socket.data.spectatorId);
+      const sender = player ?? spectator;
+      if (!room || !sender) {
+        throw gameError("ROOM_NOT_FOUND", "Room not found.");
       }
 
-      io.to(room.id).emit("game:roundEnded", {
-        reason: "guessed",
-        word: room.currentRound.word,
-        winnerPlayerId: player.id,
-        winnerNickname: player.nickname,
-        pointsAwarded: points
-      });
+      if (!takeChatRateLimitSlot(socket)) {
+        throw gameError("RATE_LIMITED", "You are sending messages too fast.");
+      }
 
-      emitRoomState(room);
-      room.currentRound = null;
-      scheduleNextRound(room);
-      return;
-    }
+      if (room.status === "in_game" && room.currentRound) {
+        const leakedGuess = findLeakedGuess(room, text);
+        if (leakedGuess !== null) {
+          if (!player) {
+            throw gameError("ANSWER_BLOCKED", "Message was blocked because it mentions the answer.");
+          }
+          submitGuess(room, player, leakedGuess, (result) => {
+            socket.emit("game:guessResult", result);
+          });
+          callback?.({ ok: true, convertedToGuess: true });
+          return;
+        }
+      }
 
-    socket.emit("game:guessResult", {
-      status: "incorrect"
-    });
+      const message = postChatMessage(room, sender, player ? "player" : "spectator", text);
+      callback?.({ ok: true, messageId: message.id });
+    } catch (error) {
+      replyWithError(socket, error, callback);
+    }
   });
 
-  socket.on("game:end", (_payload, callback) => {
+  on("game:end", (_payload, callback) => {
     try {
       const roomCode = socket.data.roomCode;
       const playerId = socket.data.playerId;
       const room = rooms.get(roomCode);
       if (!room || !playerId) {
-        throw new Error("Room not found.");
+        throw gameError("ROOM_NOT_FOUND", "Room not found.");
       }
       if (room.status !== "in_game") {
-        throw new Error("Game is not in progress.");
+        throw gameError("GAME_NOT_IN_PROGRESS", "Game is not in progress.");
       }
       if (room.hostPlayerId !== playerId) {
-        throw new Error("Only host can end the game.");
+        throw gameError("NOT_HOST", "Only host can end the game.");
       }
       endGame(room, "host_ended");
       callback?.({ ok: true });
     } catch (error) {
-      const message = formatUnknownError(error);
-      callback?.({ ok: false, message });
-      emitServerError(socket, message);
+      replyWithError(socket, error, callback);
     }
   });
 
-  socket.on("game:playAgain", (_payload, callback) => {
+  on("clock:sync", (_payload, callback) => {
+    callback?.({ ok: true, serverTime: nowMs() });
+  });
+
+  on("game:playAgain", (_payload, callback) => {
     try {
       const roomCode = socket.data.roomCode;
       const playerId = socket.data.playerId;
       const room = rooms.get(roomCode);
       if (!room || !playerId) {
-        throw new Error("Room not found.");
+        throw gameError("ROOM_NOT_FOUND", "Room not found.");
       }
       if (room.status !== "finished") {
-        throw new Error("Game is not finished yet.");
+        throw gameError("GAME_NOT_FINISHED", "Game is not finished yet.");
       }
       if (room.hostPlayerId !== playerId) {
-        throw new Error("Only host can restart.");
+        throw gameError("NOT_HOST", "Only host can restart.");
       }
       resetForPlayAgain(room);
       emitRoomState(room);
       callback?.({ ok: true });
     } catch (error) {
-      callback?.({ ok: false, message: error.message });
-      emitServerError(socket, error.message);
+      replyWithError(socket, error, callback);
     }
   });
 
-  socket.on("disconnect", () => {
+}
+
+io.on("connection", (socket) => {
+  socket.use((packet, next) => {
+    const [event, payload] = packet;
+    const roomCode = findRemoteRoomCode(socket, event, payload);
+    if (!roomCode) {
+      next();
+      return;
+    }
+    const callback = typeof packet.at(-1) === "function" ? packet.at(-1) : null;
+    forwardRoomEvent(socket, roomCode, event, payload, callback).then((forwarded) => {
+      if (!forwarded) next();
+    });
+  });
+  registerRoomHandlers(socket);
+
+  socket.on("disconnect", (reason) => {
+    logger.info("socket.disconnected", {
+      socketId: socket.id,
+      roomCode: socket.data.roomCode ?? null,
+      playerId: socket.data.playerId ?? socket.data.spectatorId ?? null,
+      reason
+    });
+    const roomCode = findRemoteRoomCode(socket, "disconnect");
+    if (roomCode) {
+      forwardRoomEvent(socket, roomCode, "disconnect");
+      return;
+    }
     handleDisconnect(socket);
   });
 });
 
+function adminError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function describeRoomForAdmin(room) {
+  return {
+    roomCode: room.id,
+    status: room.status,
+    hostPlayerId: room.hostPlayerId,
+    players: serializePlayers(room),
+    spectatorsCount: room.spectators.size,
+    timers: {
+      gameEndsAt: room.gameEndsAt,
+      roundEndsAt: room.currentRound?.endsAt ?? null,
+      globalTimer: Boolean(room.globalTimer),
+      roundTimer: Boolean(room.roundTimer),
+      revealTimer: Boolean(room.revealTimer),
+      roundTransitionTimer: Boolean(room.roundTransitionTimer)
+    }
+  };
+}
+
+// Admin actions on one room. They run on the instance that owns the room, so
+// results must survive being sent between instances.
+const adminRoomActions = {
+  inspect(room) {
+    return {
+      ...describeRoomForAdmin(room),
+      settings: room.settings,
+      spectators: serializeSpectators(room),
+      teams: serializeTeams(room),
+      currentRound: room.currentRound
+        ? {
+            word: room.currentRound.word,
+            display: room.currentRound.display,
+            startedAt: room.currentRound.startedAt,
+            endsAt: room.currentRound.endsAt,
+            solvers: room.currentRound.solvers
+          }
+        : null,
+      wordQueueSize: room.wordQueue.length,
+      roundHistory: room.roundHistory,
+      chatMessages: room.chatHistory.length
+    };
+  },
+  endGame(room) {
+    if (room.status !== "in_game") {
+      throw adminError("Game is not in progress.", 409);
+    }
+    endGame(room, "admin_ended");
+    return describeRoomForAdmin(room);
+  },
+  close(room) {
+    closeRoom(room, "closed_by_admin");
+    return null;
+  },
+  kickPlayer(room, playerId) {
+    try {
+      kickMember(room, playerId, "kicked_by_admin");
+    } catch (error) {
+      throw adminError(error.message, 404);
+    }
+    return rooms.get(room.id) ? describeRoomForAdmin(room) : null;
+  }
+};
+
+async function runAdminRoomAction(roomCode, action, ...args) {
+  const code = normalizeText(roomCode).toUpperCase();
+  const room = rooms.get(code);
+  if (room) {
+    return adminRoomActions[action](room, ...args);
+  }
+  let reply;
+  try {
+    reply = await rooms.forward(code, { admin: action, roomCode: code, args });
+  } catch (error) {
+    logger.error("rooms.forward_failed", { roomCode: code, admin: action, error: formatUnknownError(error) });
+    throw adminError("Room is temporarily unavailable.", 503);
+  }
+  if (!reply) {
+    throw adminError("Room not found.", 404);
+  }
+  if (reply.error) {
+    throw adminError(reply.error.message, reply.error.status);
+  }
+  return reply.result;
+}
+
+function handleForwardedAdminAction({ admin, roomCode, args }) {
+  try {
+    return { result: adminRoomActions[admin](rooms.get(roomCode), ...args) ?? null };
+  } catch (error) {
+    return { error: { message: error.message, status: error.status ?? 400 } };
+  }
+}
+
+rooms.onCollect(({ admin }) => (admin === "list" ? [...rooms.values()].map(describeRoomForAdmin) : null));
+
+function getRuntimeState() {
+  return {
+    gameEnabled: isGameEnabled(),
+    gameEnabledOverride: runtimeConfig.gameEnabled,
+    maxActiveRooms: runtimeConfig.maxActiveRooms,
+    activeRooms: countActiveRooms()
+  };
+}
+
+app.use(
+  "/admin",
+  createAdminRouter({
+    adminToken: ADMIN_TOKEN,
+    auditLog: createAuditLog({ logger }),
+    rooms: {
+      async list() {
+        const remote = await rooms.collect({ admin: "list" });
+        return [...[...rooms.values()].map(describeRoomForAdmin), ...remote.flat()];
+      },
+      inspect: (roomCode) => runAdminRoomAction(roomCode, "inspect"),
+      endGame: (roomCode) => runAdminRoomAction(roomCode, "endGame"),
+      close: (roomCode) => runAdminRoomAction(roomCode, "close"),
+      kickPlayer: (roomCode, playerId) => runAdminRoomAction(roomCode, "kickPlayer", playerId)
+    },
+    runtime: {
+      getState: getRuntimeState,
+      setGameEnabled(enabled) {
+        runtimeConfig.gameEnabled = enabled;
+        return getRuntimeState();
+      },
+      setMaxActiveRooms(value) {
+        if (!Number.isInteger(value) || value < 0 || value > 10_000) {
+          throw adminError("maxActiveRooms must be an integer between 0 and 10000.", 400);
+        }
+        runtimeConfig.maxActiveRooms = value;
+        return getRuntimeState();
+      }
+    }
+  })
+);
+
 app.get("/health", (_req, res) => {
   res.json({
     ok: true,
     gameEnabled: isGameEnabled(),
     activeRooms: countActiveRooms(),
-    maxActiveRooms: MAX_ACTIVE_ROOMS
+    maxActiveRooms: runtimeConfig.maxActiveRooms
   });
 });
 
+app.get("/metrics", async (_req, res) => {
+  res.set("Content-Type", metrics.register.contentType);
+  res.send(await metrics.register.metrics());
+});
+
 app.get("/health/db", async (_req, res) => {
-  if (!supabase) {
+  try {
+    const count = await wordProvider.countWords();
+    res.json({
+      ok: true,
+      provider: wordProvider.name,
+      wordsCount: count
+    });
+  } catch (unknownError) {
+    res.status(500).json({
+      ok: false,
+      provider: wordProvider.name,
+      error: formatUnknownError(unknownError)
+    });
+  }
+});
+
+app.get("/games/:id", async (req, res) => {
+  try {
+    const gameId = String(req.params.id).toLowerCase();
+    const game = UUID_PATTERN.test(gameId) ? await matchStore.getGame(gameId) : null;
+    if (!game) {
+      res.status(404).json({ ok: false, error: "Game not found." });
+      return;
+    }
+    res.json({ ok: true, game });
+  } catch (unknownError) {
+    res.status(500).json({
+      ok: false,
+      error: formatUnknownError(unknownError)
+    });
+  }
+});
+
+app.get("/rooms/:code/games", async (req, res) => {
+  try {
+    const roomCode = normalizeText(req.params.code).toUpperCase();
+    const games = await matchStore.listGamesByRoom(roomCode, ROOM_GAMES_LIST_LIMIT);
+    res.json({ ok: true, roomCode, games });
+  } catch (unknownError) {
     res.status(500).json({
       ok: false,
-      error: "Supabase env is missing."
+      error: formatUnknownError(unknownError)
     });
+  }
+});
+
+app.get("/leaderboard", async (req, res) => {
+  const window = String(req.query.window ?? "all").toLowerCase();
+  if (!(window in LEADERBOARD_WINDOWS_MS)) {
+    res.status(400).json({ ok: false, error: "window must be daily, weekly or all." });
     return;
   }
+  const requestedLimit = Number(req.query.limit ?? 50);
+  const limit = Number.isInteger(requestedLimit)
+    ? Math.min(Math.max(requestedLimit, 1), LEADERBOARD_MAX_LIMIT)
+    : 50;
 
   try {
-    const { count, error } = await supabase
-      .schema("worddash")
-      .from("words")
-      .select("*", { count: "exact", head: true });
-
-    if (error) {
-      res.status(500).json({
-        ok: false,
-        error: `Supabase query failed: ${error.message}`
-      });
+    const windowMs = LEADERBOARD_WINDOWS_MS[window];
+    const since = windowMs === null ? null : nowMs() - windowMs;
+    const entries = await matchStore.getLeaderboard({ since, limit });
+    res.json({ ok: true, window, entries });
+  } catch (unknownError) {
+    res.status(500).json({
+      ok: false,
+      error: formatUnknownError(unknownError)
+    });
+  }
+});
+
+app.get("/players/:id", async (req, res) => {
+  try {
+    const stats = await matchStore.getPlayerStats(String(req.params.id));
+    if (!stats) {
+      res.status(404).json({ ok: false, error: "Player not found." });
       return;
     }
+    res.json({ ok: true, player: stats });
+  } catch (unknownError) {
+    res.status(500).json({
+      ok: false,
+      error: formatUnknownError(unknownError)
+    });
+  }
+});
 
+app.get("/words/categories", async (_req, res) => {
+  try {
+    const counts = new Map();
+    for (const row of await fetchWords()) {
+      if (!row.category) continue;
+      counts.set(row.category, (counts.get(row.category) ?? 0) + 1);
+    }
     res.json({
       ok: true,
-      wordsCount: count ?? 0
+      categories: [...counts.entries()]
+        .map(([category, wordsCount]) => ({ category, wordsCount }))
+        .sort((a, b) => a.category.localeCompare(b.category))
     });
   } catch (unknownError) {
     res.status(500).json({
@@ -777,6 +2599,135 @@ app.get("/", (_req, res) => {
   });
 });
 
+function serializeRoomForSnapshot(room) {
+  return {
+    id: room.id,
+    status: room.status,
+    hostPlayerId: room.hostPlayerId,
+    settings: room.settings,
+    players: [...room.players.values()].map(
+      ({ socketId: _socketId, connected: _connected, dropTimer: _dropTimer, ...player }) => player
+    ),
+    usedWords: [...room.usedWords],
+    wordQueue: room.wordQueue,
+    currentRound: room.currentRound
+      ? { ...room.currentRound, revealedIndexes: [...room.currentRound.revealedIndexes] }
+      : null,
+    gameStartedAt: room.gameStartedAt,
+    gameEndsAt: room.gameEndsAt,
+    nextRoundAt: room.nextRoundAt,
+    roundHistory: room.roundHistory,
+    teamScores: room.teamScores,
+    chatHistory: room.chatHistory,
+    bannedIds: [...room.bannedIds],
+    removedIds: [...room.removedIds],
+    eliminations: room.eliminations,
+    knockedOut: [...room.knockedOut.values()].map(
+      ({ socketId: _socketId, connected: _connected, dropTimer: _dropTimer, ...player }) => player
+    )
+  };
+}
+
+// Spectators are not restored: they rejoin through room:resume with their token.
+function restoreRoomFromSnapshot(data) {
+  const room = {
+    ...data,
+    settings: { ...DEFAULT_ROOM_SETTINGS, ...data.settings },
+    players: new Map(),
+    spectators: new Map(),
+    usedWords: new Set(data.usedWords),
+    currentRound: data.currentRound
+      ? { ...data.currentRound, revealedIndexes: new Set(data.currentRound.revealedIndexes) }
+      : null,
+    globalTimer: null,
+    roundTimer: null,
+    revealTimer: null,
+    roundTransitionTimer: null,
+    bannedIds: new Set(data.bannedIds),
+    removedIds: new Set(data.removedIds),
+    botTimers: new Set(),
+    eliminations: data.eliminations ?? [],
+    knockedOut: new Map(
+      (data.knockedOut ?? []).map((saved) => [saved.id, { ...saved, socketId: null, connected: false, dropTimer: null }])
+    )
+  };
+  for (const saved of data.players) {
+    const player = { ...saved, socketId: null, connected: Boolean(saved.isBot), dropTimer: null };
+    room.players.set(player.id, player);
+    if (!player.isBot) {
+      startPlayerDropTimer(room, player);
+    }
+  }
+  rooms.set(room.id, room);
+
+  if (room.status !== "in_game") return;
+  startGlobalTicker(room);
+  if (room.currentRound) {
+    armRoundTimers(room);
+  } else {
+    scheduleNextRound(room, Math.max(0, (room.nextRoundAt ?? 0) - nowMs()));
+  }
+}
+
+async function restoreRooms() {
+  if (!snapshotStore) return;
+  try {
+    const snapshot = await snapshotStore.load();
+    if (!snapshot) return;
+    await snapshotStore.clear();
+    if (snapshot.version !== ROOM_SNAPSHOT_VERSION) {
+      logger.warn("snapshot.ignored", { version: snapshot.version });
+      return;
+    }
+    if (!process.env.SESSION_SECRET) {
+      logger.warn("snapshot.session_secret_missing", {
+        detail: "SESSION_SECRET is not set; players cannot resume restored rooms"
+      });
+    }
+    for (const data of snapshot.rooms) {
+      restoreRoomFromSnapshot(data);
+    }
+    logger.info("snapshot.restored", {
+      rooms: snapshot.rooms.length,
+      savedAt: new Date(snapshot.savedAt).toISOString()
+    });
+  } catch (error) {
+    logger.error("snapshot.restore_failed", { error: formatUnknownError(error) });
+  }
+}
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  io.emit("server:restarting", { reconnectWithinMs: RECONNECT_GRACE_MS });
+
+  for (const room of rooms.values()) {
+    clearTimers(room);
+    for (const player of room.players.values()) {
+      clearPlayerDropTimer(player);
+    }
+  }
+  if (snapshotStore) {
+    try {
+      await snapshotStore.save({
+        version: ROOM_SNAPSHOT_VERSION,
+        savedAt: nowMs(),
+        rooms: [...rooms.values()].map(serializeRoomForSnapshot)
+      });
+      logger.info("snapshot.saved", { signal, rooms: rooms.size, source: snapshotStore.source });
+    } catch (error) {
+      logger.error("snapshot.save_failed", { signal, error: formatUnknownError(error) });
+    }
+  }
+
+  io.close(() => process.exit(0));
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+await restoreRooms();
+
 server.listen(PORT, () => {
-  console.log(`worddash-realtime listening on :${PORT}`);
+  logger.info("server.listening", { port: server.address().port, roomStore: rooms.name });
 });
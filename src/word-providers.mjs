@@ -0,0 +1,147 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import { normalizeLocale, parseWordsText } from "./words-format.mjs";
+
+function describeParseErrors(errors) {
+  const preview = errors.slice(0, 5).join("; ");
+  return errors.length > 5 ? `${preview}; ... and ${errors.length - 5} more` : preview;
+}
+
+export function createSupabaseWordProvider(supabase) {
+  function requireClient() {
+    if (!supabase) {
+      throw new Error("Supabase env is missing.");
+    }
+    return supabase;
+  }
+
+  return {
+    name: "supabase",
+    async loadWords() {
+      const { data, error } = await requireClient()
+        .schema("worddash")
+        .from("words")
+        .select("word,hint,length,category,difficulty,locale")
+        .order("word", { ascending: true });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+      return data ?? [];
+    },
+    async countWords() {
+      const { count, error } = await requireClient()
+        .schema("worddash")
+        .from("words")
+        .select("*", { count: "exact", head: true });
+
+      if (error) {
+        throw new Error(`Supabase query failed: ${error.message}`);
+      }
+      return count ?? 0;
+    }
+  };
+}
+
+export function createTextFileWordProvider(filePath) {
+  async function loadWords() {
+    const content = await fs.readFile(filePath, "utf8");
+    const { records, errors } = parseWordsText(content);
+    if (errors.length > 0) {
+      throw new Error(`Invalid words file ${filePath}: ${describeParseErrors(errors)}`);
+    }
+    return records;
+  }
+
+  return {
+    name: "file",
+    source: filePath,
+    loadWords,
+    async countWords() {
+      return (await loadWords()).length;
+    }
+  };
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+function parseJsonWordRows(rows) {
+  const records = [];
+  const errors = [];
+  rows.forEach((row, index) => {
+    const rowNo = index + 1;
+    if (!row || typeof row !== "object" || Array.isArray(row)) {
+      errors.push(`Row ${rowNo}: expected an object with "word" and "hint"`);
+      return;
+    }
+    if (!isNonEmptyString(row.word)) {
+      errors.push(`Row ${rowNo}: "word" must be a non-empty string`);
+      return;
+    }
+    if (!isNonEmptyString(row.hint)) {
+      errors.push(`Row ${rowNo}: "hint" must be a non-empty string for word "${row.word}"`);
+      return;
+    }
+    const locale = row.locale == null ? null : normalizeLocale(row.locale);
+    if (row.locale != null && !locale) {
+      errors.push(`Row ${rowNo}: "locale" must be a language tag such as "en" or "pt-BR"`);
+      return;
+    }
+    records.push({
+      word: row.word,
+      hint: row.hint,
+      length: row.length ?? row.word.trim().length,
+      category: row.category ?? null,
+      difficulty: row.difficulty ?? null,
+      locale
+    });
+  });
+  return { records, errors };
+}
+
+export function createJsonWordProvider(filePath) {
+  async function loadWords() {
+    const content = await fs.readFile(filePath, "utf8");
+    const parsed = JSON.parse(content);
+    const rows = Array.isArray(parsed) ? parsed : parsed?.words;
+    if (!Array.isArray(rows)) {
+      throw new Error(`Invalid words file ${filePath}: expected an array or { "words": [...] }`);
+    }
+
+    const { records, errors } = parseJsonWordRows(rows);
+    if (errors.length > 0) {
+      throw new Error(`Invalid words file ${filePath}: ${describeParseErrors(errors)}`);
+    }
+    return records;
+  }
+
+  return {
+    name: "json",
+    source: filePath,
+    loadWords,
+    async countWords() {
+      return (await loadWords()).length;
+    }
+  };
+}
+
+export function createWordProvider({ supabase, env = process.env } = {}) {
+  const kind = String(env.WORD_PROVIDER ?? "supabase").trim().toLowerCase();
+  const filePath = env.WORDS_FILE ? path.resolve(process.cwd(), env.WORDS_FILE) : null;
+
+  switch (kind) {
+    case "supabase":
+      return createSupabaseWordProvider(supabase);
+    case "file":
+    case "json":
+      if (!filePath) {
+        throw new Error(`WORDS_FILE is required when WORD_PROVIDER=${kind}.`);
+      }
+      return kind === "file" ? createTextFileWordProvider(filePath) : createJsonWordProvider(filePath);
+    default:
+      throw new Error(`Unknown WORD_PROVIDER "${kind}". Use supabase, file or json.`);
+  }
+}
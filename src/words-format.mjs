@@ -0,0 +1,143 @@
+export const MIN_DIFFICULTY = 1;
+export const MAX_DIFFICULTY = 5;
+export const DEFAULT_LOCALE = "en";
+
+function normalizeSpaces(value) {
+  return value.replace(/\s+/g, " ").trim();
+}
+
+function parseDifficulty(raw) {
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < MIN_DIFFICULTY || value > MAX_DIFFICULTY) {
+    return null;
+  }
+  return value;
+}
+
+export function normalizeLocale(value) {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(String(value ?? "").trim());
+    return canonical ?? null;
+  } catch {
+    return null;
+  }
+}
+
+export function parseWordsText(content) {
+  const lines = content.split(/\r?\n/);
+  const records = [];
+  const errors = [];
+  let pendingWord = null;
+  let pendingWordLine = 0;
+  let pendingMeta = { category: null, difficulty: null, locale: null };
+  // Category-/Difficulty-/Locale- lines may come before or after Hint-; after Hint-
+  // they apply to the record just pushed, until the next Word- line.
+  let lastRecord = null;
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const lineNo = index + 1;
+    const trimmed = lines[index].trim();
+
+    if (!trimmed) {
+      continue;
+    }
+
+    if (trimmed.startsWith("Word-")) {
+      if (pendingWord !== null) {
+        errors.push(
+          `Line ${pendingWordLine}: missing Hint- for previous word "${pendingWord}"`
+        );
+      }
+
+      pendingWord = normalizeSpaces(trimmed.slice("Word-".length));
+      pendingWordLine = lineNo;
+      pendingMeta = { category: null, difficulty: null, locale: null };
+      lastRecord = null;
+
+      if (!pendingWord) {
+        errors.push(`Line ${lineNo}: Word- value is empty`);
+        pendingWord = null;
+      }
+
+      continue;
+    }
+
+    if (trimmed.startsWith("Hint-")) {
+      if (pendingWord === null) {
+        errors.push(`Line ${lineNo}: Hint- appears before Word-`);
+        continue;
+      }
+
+      const rawHint = normalizeSpaces(trimmed.slice("Hint-".length));
+      if (!rawHint) {
+        errors.push(`Line ${lineNo}: Hint- value is empty for word "${pendingWord}"`);
+        pendingWord = null;
+        pendingWordLine = 0;
+        continue;
+      }
+
+      const normalizedWord = normalizeSpaces(pendingWord).normalize("NFC").toLowerCase();
+      lastRecord = {
+        word: normalizedWord,
+        hint: rawHint,
+        length: [...normalizedWord].length,
+        ...pendingMeta
+      };
+      records.push(lastRecord);
+
+      pendingWord = null;
+      pendingWordLine = 0;
+      continue;
+    }
+
+    if (
+      trimmed.startsWith("Category-") ||
+      trimmed.startsWith("Difficulty-") ||
+      trimmed.startsWith("Locale-")
+    ) {
+      const target = pendingWord !== null ? pendingMeta : lastRecord;
+      if (!target) {
+        errors.push(`Line ${lineNo}: "${trimmed}" appears before Word-`);
+        continue;
+      }
+
+      if (trimmed.startsWith("Category-")) {
+        const category = normalizeSpaces(trimmed.slice("Category-".length)).toLowerCase();
+        if (!category) {
+          errors.push(`Line ${lineNo}: Category- value is empty`);
+          continue;
+        }
+        target.category = category;
+        continue;
+      }
+
+      if (trimmed.startsWith("Locale-")) {
+        const locale = normalizeLocale(trimmed.slice("Locale-".length));
+        if (!locale) {
+          errors.push(`Line ${lineNo}: Locale- must be a language tag such as "en" or "pt-BR"`);
+          continue;
+        }
+        target.locale = locale;
+        continue;
+      }
+
+      const difficulty = parseDifficulty(trimmed.slice("Difficulty-".length).trim());
+      if (difficulty === null) {
+        errors.push(
+          `Line ${lineNo}: Difficulty- must be an integer between ${MIN_DIFFICULTY} and ${MAX_DIFFICULTY}`
+        );
+        continue;
+      }
+      target.difficulty = difficulty;
+      continue;
+    }
+
+    errors.push(`Line ${lineNo}: unsupported format "${trimmed}"`);
+  }
+
+  if (pendingWord !== null) {
+    errors.push(`Line ${pendingWordLine}: missing Hint- for word "${pendingWord}"`);
+  }
+
+  return { records, errors };
+}
@@ -0,0 +1,23 @@
+alter table worddash.words
+  add column if not exists category text,
+  add column if not exists difficulty smallint;
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'words_difficulty_range'
+      and connamespace = 'worddash'::regnamespace
+  ) then
+    alter table worddash.words
+      add constraint words_difficulty_range check (difficulty between 1 and 5);
+  end if;
+end
+$$;
+
+create index if not exists words_category_idx
+  on worddash.words (category);
+
+create index if not exists words_difficulty_idx
+  on worddash.words (difficulty);
@@ -0,0 +1,27 @@
+alter table worddash.words
+  add column if not exists locale text not null default 'en';
+
+-- The same spelling can be a valid answer in more than one language, so
+-- uniqueness moves from (word) to (word, locale).
+alter table worddash.words
+  drop constraint if exists words_word_key;
+
+alter table worddash.words
+  drop constraint if exists words_word_unique;
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'words_word_locale_unique'
+      and connamespace = 'worddash'::regnamespace
+  ) then
+    alter table worddash.words
+      add constraint words_word_locale_unique unique (word, locale);
+  end if;
+end
+$$;
+
+create index if not exists words_locale_idx
+  on worddash.words (locale);
@@ -0,0 +1,44 @@
+create table if not exists worddash.games (
+  id uuid primary key default gen_random_uuid(),
+  room_code text not null,
+  settings jsonb not null default '{}'::jsonb,
+  end_reason text not null,
+  started_at timestamptz,
+  ended_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  constraint games_room_code_not_blank check (char_length(btrim(room_code)) > 0)
+);
+
+create index if not exists games_room_code_ended_at_idx
+  on worddash.games (room_code, ended_at desc);
+
+create table if not exists worddash.game_players (
+  id uuid primary key default gen_random_uuid(),
+  game_id uuid not null references worddash.games (id) on delete cascade,
+  player_id text not null,
+  nickname text not null,
+  team_id text,
+  score integer not null default 0,
+  rank integer not null,
+  is_winner boolean not null default false,
+  created_at timestamptz not null default now(),
+  constraint game_players_unique unique (game_id, player_id)
+);
+
+create index if not exists game_players_game_id_idx
+  on worddash.game_players (game_id);
+
+create table if not exists worddash.game_rounds (
+  id uuid primary key default gen_random_uuid(),
+  game_id uuid not null references worddash.games (id) on delete cascade,
+  round_index integer not null,
+  word text not null,
+  reason text not null,
+  points_awarded integer not null default 0,
+  solvers jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  constraint game_rounds_unique unique (game_id, round_index)
+);
+
+create index if not exists game_rounds_game_id_idx
+  on worddash.game_rounds (game_id);
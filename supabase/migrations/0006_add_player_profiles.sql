@@ -0,0 +1,54 @@
+alter table worddash.game_players
+  add column if not exists profile_id text,
+  add column if not exists words_solved integer not null default 0,
+  add column if not exists total_solve_ms bigint not null default 0,
+  add column if not exists best_streak integer not null default 0;
+
+create index if not exists game_players_profile_id_idx
+  on worddash.game_players (profile_id)
+  where profile_id is not null;
+
+create index if not exists games_ended_at_idx
+  on worddash.games (ended_at desc);
+
+-- Aggregated stats per profile. since = null means all time, profile = null
+-- means every profile.
+create or replace function worddash.player_stats(
+  since timestamptz default null,
+  profile text default null,
+  max_rows integer default 50
+)
+returns table (
+  profile_id text,
+  nickname text,
+  games_played bigint,
+  wins bigint,
+  words_solved bigint,
+  average_solve_ms numeric,
+  best_streak integer,
+  last_played_at timestamptz
+)
+language sql
+stable
+as $$
+  select
+    gp.profile_id,
+    (array_agg(gp.nickname order by g.ended_at desc))[1] as nickname,
+    count(*) as games_played,
+    count(*) filter (where gp.is_winner) as wins,
+    coalesce(sum(gp.words_solved), 0) as words_solved,
+    case
+      when sum(gp.words_solved) > 0
+        then round(sum(gp.total_solve_ms)::numeric / sum(gp.words_solved))
+    end as average_solve_ms,
+    max(gp.best_streak) as best_streak,
+    max(g.ended_at) as last_played_at
+  from worddash.game_players gp
+  join worddash.games g on g.id = gp.game_id
+  where gp.profile_id is not null
+    and (since is null or g.ended_at >= since)
+    and (profile is null or gp.profile_id = profile)
+  group by gp.profile_id
+  order by wins desc, words_solved desc, games_played asc
+  limit max_rows;
+$$;
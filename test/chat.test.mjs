@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { TEST_WORDS, connect, request, startServer } from "./helpers.mjs";
+
+const SHORT_WORDS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures/short-words.txt");
+
+let server;
+let shortServer;
+let host;
+let shortHost;
+
+async function startGame(url) {
+  const socket = await connect(url);
+  assert.equal((await request(socket, "room:create", { nickname: "host" })).ok, true);
+  assert.deepEqual(await request(socket, "game:start"), { ok: true });
+  return socket;
+}
+
+before(async () => {
+  server = await startServer();
+  shortServer = await startServer({ env: { WORDS_FILE: SHORT_WORDS_FILE } });
+  host = await startGame(server.url);
+  shortHost = await startGame(shortServer.url);
+});
+
+after(async () => {
+  host.disconnect();
+  shortHost.disconnect();
+  await server.stop();
+  await shortServer.stop();
+});
+
+test("chat that only contains the answer inside longer words is posted", async () => {
+  const reply = await request(host, "room:chat", { text: "crabapple bananarama cherrystone" });
+  assert.equal(reply.ok, true);
+  assert.ok(reply.messageId);
+  assert.equal(reply.convertedToGuess, undefined);
+});
+
+test("chat that says the answer is turned into a guess", async () => {
+  const reply = await request(host, "room:chat", { text: `is it ${TEST_WORDS.join(" or ")}?` });
+  assert.deepEqual(reply, { ok: true, convertedToGuess: true });
+});
+
+test("words close to a short answer are posted unless they are the whole message", async () => {
+  const posted = await request(shortHost, "room:chat", { text: "look at that, no idea" });
+  assert.equal(posted.ok, true);
+  assert.equal(posted.convertedToGuess, undefined);
+  assert.equal((await request(shortHost, "room:chat", { text: "two cats?" })).convertedToGuess, undefined);
+
+  assert.deepEqual(await request(shortHost, "room:chat", { text: "cats" }), { ok: true, convertedToGuess: true });
+  assert.deepEqual(await request(shortHost, "room:chat", { text: "is it a cat?" }), { ok: true, convertedToGuess: true });
+});
@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { createWorddashClient } from "../client/worddash-client.mjs";
+import { TEST_WORDS, startServer } from "./helpers.mjs";
+
+let server;
+const clients = [];
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  for (const client of clients) client.disconnect();
+  await server.stop();
+});
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+function createClient(storage = createStorage()) {
+  const client = createWorddashClient({
+    url: server.url,
+    storage,
+    socketOptions: { transports: ["websocket"], reconnection: false, forceNew: true }
+  });
+  clients.push(client);
+  return client;
+}
+
+function waitForState(client, matches) {
+  if (matches(client.state)) return Promise.resolve(client.state);
+  return new Promise((resolve) => {
+    const unsubscribe = client.on("state", (state) => {
+      if (!matches(state)) return;
+      unsubscribe();
+      resolve(state);
+    });
+  });
+}
+
+test("the client mirrors a room and estimates the server clock", async () => {
+  const host = createClient();
+  const guest = createClient();
+  await host.connect();
+  await guest.connect();
+  assert.equal(host.state.connection, "connected");
+  assert.ok(Math.abs(host.serverNow() - Date.now()) < 1000);
+
+  const created = await host.createRoom("ada");
+  assert.equal(host.state.roomCode, created.roomCode);
+  assert.equal(host.state.role, "player");
+  await guest.joinRoom(created.roomCode, "bob");
+
+  const lobby = await waitForState(host, (state) => state.players.length === 2);
+  assert.deepEqual(
+    lobby.players.map((player) => [player.nickname, player.isHost]),
+    [
+      ["ada", true],
+      ["bob", false]
+    ]
+  );
+
+  await host.startGame();
+  const playing = await waitForState(guest, (state) => state.status === "in_game" && state.round !== null);
+  assert.equal(playing.round.solvers.length, 0);
+  const remainingMs = guest.getRoundRemainingMs();
+  assert.ok(remainingMs > 0 && remainingMs <= playing.settings.roundDurationMs);
+
+  for (const word of TEST_WORDS) {
+    guest.guess(word);
+  }
+  const solved = await waitForState(host, (state) => state.lastRound !== null);
+  assert.equal(solved.lastRound.solvers[0].nickname, "bob");
+  assert.equal(solved.round, null);
+});
+
+test("a client with a stored session resumes its game on connect", async () => {
+  const storage = createStorage();
+  const first = createClient(storage);
+  await first.connect();
+  const created = await first.createRoom("ada");
+  await first.startGame();
+  first.disconnect();
+
+  const second = createClient(storage);
+  const state = await second.connect();
+  assert.equal(state.roomCode, created.roomCode);
+  assert.equal(state.role, "player");
+  assert.equal(state.playerId, created.playerId);
+  assert.equal(state.status, "in_game");
+});
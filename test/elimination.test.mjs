@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { TEST_WORDS, connect, nextEvent, request, startServer } from "./helpers.mjs";
+
+let server;
+const sockets = [];
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  for (const socket of sockets) socket.disconnect();
+  await server.stop();
+});
+
+async function connectClient() {
+  const socket = await connect(server.url);
+  sockets.push(socket);
+  return socket;
+}
+
+async function solve(socket) {
+  const solved = nextEvent(socket, "game:guessResult", (result) => result.status === "correct");
+  for (const word of TEST_WORDS) {
+    socket.emit("game:guess", { guess: word });
+  }
+  return solved;
+}
+
+test("a knocked-out player watches as a spectator and gets their seat back", async () => {
+  const host = await connectClient();
+  const guest = await connectClient();
+  const created = await request(host, "room:create", { nickname: "host" });
+  const joined = await request(guest, "room:join", { roomCode: created.roomCode, nickname: "guest" });
+  const settings = await request(host, "room:updateSettings", {
+    settings: { elimination: true, scoringMode: "speed" }
+  });
+  assert.equal(settings.settings.eliminationRule, "lowest_score");
+
+  const spectating = nextEvent(guest, "room:spectating");
+  const ended = nextEvent(host, "game:ended");
+  const promoted = nextEvent(guest, "room:promoted");
+  const round = nextEvent(host, "game:round");
+  assert.deepEqual(await request(host, "game:start"), { ok: true });
+  await round;
+
+  await solve(host);
+  await solve(guest);
+
+  const moved = await spectating;
+  assert.equal(moved.spectatorId, joined.playerId);
+
+  const result = await ended;
+  assert.equal(result.reason, "last_player_standing");
+  assert.deepEqual(result.winners, [created.playerId]);
+  assert.deepEqual(
+    result.rankings.map((player) => player.id),
+    [created.playerId, joined.playerId]
+  );
+  assert.deepEqual(
+    result.eliminations.map((entry) => [entry.playerId, entry.round]),
+    [[joined.playerId, 1]]
+  );
+
+  assert.equal((await promoted).playerId, joined.playerId);
+  const state = await request(guest, "room:resume", { sessionToken: (await promoted).sessionToken });
+  assert.equal(state.role, "player");
+  assert.deepEqual(
+    state.players.map((player) => player.nickname),
+    ["host", "guest"]
+  );
+  assert.equal(state.spectators.length, 0);
+});
+
+test("missed_word knocks out players who solved nothing since the last knockout", async () => {
+  const host = await connectClient();
+  const guest = await connectClient();
+  const created = await request(host, "room:create", { nickname: "host" });
+  const joined = await request(guest, "room:join", { roomCode: created.roomCode, nickname: "guest" });
+
+  const rejected = await request(host, "room:updateSettings", { settings: { eliminationRule: "random" } });
+  assert.equal(rejected.code, "INVALID_SETTINGS");
+  const settings = await request(host, "room:updateSettings", {
+    settings: { elimination: true, eliminationRule: "missed_word", roundDurationMs: 10_000 }
+  });
+  assert.equal(settings.settings.eliminationRule, "missed_word");
+
+  const eliminated = nextEvent(host, "game:eliminated");
+  const ended = nextEvent(host, "game:ended");
+  const round = nextEvent(host, "game:round");
+  assert.deepEqual(await request(host, "game:start"), { ok: true });
+  await round;
+  await solve(host);
+
+  const knockout = await eliminated;
+  assert.deepEqual(
+    knockout.players.map((player) => player.playerId),
+    [joined.playerId]
+  );
+  assert.equal(knockout.remainingPlayers, 1);
+  assert.equal((await ended).reason, "last_player_standing");
+});
+
+test("lowest_score on first_guess scoring knocks out one player only once the tie is broken", async () => {
+  const host = await connectClient();
+  const first = await connectClient();
+  const second = await connectClient();
+  const created = await request(host, "room:create", { nickname: "host" });
+  await request(first, "room:join", { roomCode: created.roomCode, nickname: "first" });
+  const joined = await request(second, "room:join", { roomCode: created.roomCode, nickname: "second" });
+  const settings = await request(host, "room:updateSettings", {
+    settings: { elimination: true, roundTransitionDelayMs: 0 }
+  });
+  assert.equal(settings.settings.scoringMode, "first_guess");
+
+  const knockouts = [];
+  host.on("game:eliminated", (knockout) => knockouts.push(knockout));
+  let round = nextEvent(host, "game:round");
+  assert.deepEqual(await request(host, "game:start"), { ok: true });
+  await round;
+
+  round = nextEvent(host, "game:round");
+  await solve(host);
+  await round;
+  assert.deepEqual(knockouts, []);
+
+  const eliminated = nextEvent(host, "game:eliminated");
+  await solve(first);
+  const knockout = await eliminated;
+  assert.deepEqual(
+    knockout.players.map((player) => player.playerId),
+    [joined.playerId]
+  );
+  assert.equal(knockout.round, 2);
+  assert.equal(knockout.remainingPlayers, 2);
+});
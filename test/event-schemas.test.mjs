@@ -0,0 +1,14 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { parseEventPayload } from "../src/event-schemas.mjs";
+
+test("a letter typed with a combining accent is accepted as one letter", () => {
+  assert.deepEqual(parseEventPayload("game:letter", { letter: "e\u0301" }), { letter: "\u00e9" });
+  assert.deepEqual(parseEventPayload("game:letter", { letter: "\u00e9" }), { letter: "\u00e9" });
+});
+
+test("anything but a single letter is rejected", () => {
+  for (const letter of ["ab", "1", "-", "e\u0301\u0301"]) {
+    assert.throws(() => parseEventPayload("game:letter", { letter }), { code: "INVALID_PAYLOAD" });
+  }
+});
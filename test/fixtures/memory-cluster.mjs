@@ -0,0 +1,4 @@
+// Two server instances in one process, joined through ROOM_STORE=memory. Each
+// import gets its own copy of the server module.
+await import("../../src/server.mjs?instance=a");
+await import("../../src/server.mjs?instance=b");
@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { GAME_MODE_IDS, getGameMode } from "../src/game-modes.mjs";
+
+const SETTINGS = {
+  locale: "en",
+  accentInsensitive: true,
+  closeGuessDistance: 1,
+  typoTolerance: false,
+  scoringMode: "first_guess",
+  correctGuessPoints: 10,
+  revealPenaltyPoints: 2
+};
+const PLAYER = { id: "p1", nickname: "ada" };
+
+function startRound(mode, word) {
+  return { word, revealCount: 0, ...mode.startRound(word, SETTINGS) };
+}
+
+function revealAll(mode, round) {
+  while (mode.canReveal(round)) {
+    mode.reveal(round, SETTINGS);
+    round.revealCount += 1;
+  }
+  return round;
+}
+
+test("every mode implements the round interface", () => {
+  for (const id of GAME_MODE_IDS) {
+    const mode = getGameMode(id);
+    assert.equal(mode.id, id);
+    for (const method of ["startRound", "canReveal", "reveal", "roundPoints", "judgeGuess", "scoreSolve"]) {
+      assert.equal(typeof mode[method], "function", `${id}.${method}`);
+    }
+
+    const round = startRound(mode, "banana");
+    assert.equal(typeof round.display, "string");
+    assert.ok(round.revealedIndexes instanceof Set);
+    assert.equal(mode.judgeGuess("Banana", round, SETTINGS), "correct");
+    assert.equal(mode.judgeGuess("cherry", round, SETTINGS), "incorrect");
+    assert.equal(mode.roundPoints(round, SETTINGS), 10);
+    assert.equal(mode.scoreSolve(round, SETTINGS, { verdict: "correct", solveIndex: 0, streak: 1, now: 0 }), 10);
+    assert.equal(mode.scoreSolve(round, SETTINGS, { verdict: "typo", solveIndex: 0, streak: 1, now: 0 }), 5);
+  }
+  assert.equal(getGameMode("unknown").id, "classic");
+});
+
+test("classic reveals stop with one letter still hidden", () => {
+  const mode = getGameMode("classic");
+  const round = startRound(mode, "banana");
+  assert.equal(round.display, "B _ _ _ _ A");
+
+  revealAll(mode, round);
+  assert.equal(round.revealCount, 3);
+  assert.equal(round.display.split(" ").filter((char) => char === "_").length, 1);
+});
+
+test("the anagram prompt never spells the answer, even after every reveal", () => {
+  const mode = getGameMode("anagram");
+  for (const word of ["ab", "aab", "banana", "cherry", "ice cream", "well-being"]) {
+    for (let attempt = 0; attempt < 50; attempt += 1) {
+      const round = startRound(mode, word);
+      assert.notEqual(round.letters.join(""), word);
+      for (const idx of round.revealedIndexes) {
+        assert.equal(round.letters[idx], [...word][idx]);
+      }
+
+      while (mode.canReveal(round)) {
+        mode.reveal(round, SETTINGS);
+        assert.notEqual(round.letters.join(""), word);
+      }
+      assert.ok(round.revealedIndexes.size < [...word].length);
+      assert.deepEqual([...round.letters].sort(), [...word].sort());
+    }
+  }
+});
+
+test("anagram reveals fix letters in place from the left", () => {
+  const mode = getGameMode("anagram");
+  const round = startRound(mode, "cherry");
+  assert.equal(mode.canReveal(round), true);
+  mode.reveal(round, SETTINGS);
+  mode.reveal(round, SETTINGS);
+  assert.deepEqual(round.letters.slice(0, 2), ["c", "h"]);
+  assert.deepEqual([...round.revealedIndexes], [0, 1]);
+});
+
+test("anagram counts a reordering of the letters as close and never as a typo", () => {
+  const mode = getGameMode("anagram");
+  const round = startRound(mode, "banana");
+  const settings = { ...SETTINGS, typoTolerance: true };
+  assert.equal(mode.judgeGuess("nabana", round, settings), "close");
+  assert.equal(mode.judgeGuess("banan", round, settings), "close");
+  assert.equal(mode.judgeGuess("cherry", round, settings), "incorrect");
+});
+
+test("hangman letters uncover every match and report when the word is complete", () => {
+  const mode = getGameMode("hangman");
+  const round = startRound(mode, "banana");
+  assert.equal(mode.canReveal(round), false);
+  assert.equal(round.display, "_ _ _ _ _ _");
+
+  assert.deepEqual(mode.guessLetter(round, "A", SETTINGS, PLAYER), { letter: "a", hits: 3, points: 3, complete: false });
+  assert.equal(round.display, "_ A _ A _ A");
+  assert.throws(() => mode.guessLetter(round, "a", SETTINGS, PLAYER), { code: "LETTER_ALREADY_GUESSED" });
+
+  assert.deepEqual(mode.guessLetter(round, "z", SETTINGS, PLAYER), { letter: "z", hits: 0, points: 0, complete: false });
+  assert.deepEqual(round.wrongLetters, ["z"]);
+  assert.throws(() => mode.guessLetter(round, "Z", SETTINGS, PLAYER), { code: "LETTER_ALREADY_GUESSED" });
+
+  mode.guessLetter(round, "b", SETTINGS, PLAYER);
+  assert.deepEqual(mode.guessLetter(round, "n", SETTINGS, PLAYER), { letter: "n", hits: 2, points: 2, complete: true });
+  assert.equal(round.display, "B A N A N A");
+  assert.deepEqual(
+    round.letterGuesses.map((entry) => [entry.letter, entry.playerId, entry.hits]),
+    [
+      ["a", "p1", 3],
+      ["z", "p1", 0],
+      ["b", "p1", 1],
+      ["n", "p1", 2]
+    ]
+  );
+});
+
+test("hangman folds accents when the room is accent-insensitive", () => {
+  const mode = getGameMode("hangman");
+  const round = startRound(mode, "café");
+  assert.equal(mode.guessLetter(round, "e", SETTINGS, PLAYER).hits, 1);
+  assert.throws(() => mode.guessLetter(round, "é", SETTINGS, PLAYER), { code: "LETTER_ALREADY_GUESSED" });
+  assert.equal(round.display, "_ _ _ É");
+
+  const strict = { ...SETTINGS, accentInsensitive: false };
+  const strictRound = { word: "café", revealCount: 0, ...mode.startRound("café", strict) };
+  assert.equal(mode.guessLetter(strictRound, "e", strict, PLAYER).hits, 0);
+  assert.equal(mode.guessLetter(strictRound, "é", strict, PLAYER).hits, 1);
+});
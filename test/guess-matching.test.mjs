@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { editDistance, isInflectionOf, judgeAnswer } from "../src/guess-matching.mjs";
+
+const SETTINGS = { locale: "en", accentInsensitive: true, closeGuessDistance: 1, typoTolerance: false };
+
+test("editDistance counts edits and stops once past the limit", () => {
+  assert.equal(editDistance("kitten", "sitting"), 3);
+  assert.equal(editDistance("kitten", "sitting", 1), 2);
+  assert.equal(editDistance("a", "abcd", 1), 2);
+  assert.equal(editDistance("café", "cafe"), 1);
+  assert.equal(editDistance("", ""), 0);
+});
+
+test("isInflectionOf matches English inflections only", () => {
+  assert.equal(isInflectionOf("bananas", "banana", "en"), true);
+  assert.equal(isInflectionOf("boxes", "box", "en-GB"), true);
+  assert.equal(isInflectionOf("cherries", "cherry", "en"), true);
+  assert.equal(isInflectionOf("apple", "apple", "en"), false);
+  assert.equal(isInflectionOf("apples", "apple", "fr"), false);
+  assert.equal(isInflectionOf("grapes", "apple", "en"), false);
+});
+
+test("judgeAnswer folds case, spacing and accents into a correct answer", () => {
+  assert.equal(judgeAnswer("  Apple ", "apple", SETTINGS), "correct");
+  assert.equal(judgeAnswer("cafe", "Café", SETTINGS), "correct");
+  assert.equal(judgeAnswer("cafe", "café", { ...SETTINGS, accentInsensitive: false }), "close");
+});
+
+test("judgeAnswer accepts typos only in long enough answers", () => {
+  const settings = { ...SETTINGS, typoTolerance: true };
+  assert.equal(judgeAnswer("banan", "banana", settings), "typo");
+  assert.equal(judgeAnswer("aple", "apple", settings), "close");
+  assert.equal(judgeAnswer("banan", "banana", SETTINGS), "close");
+  assert.equal(judgeAnswer("bnan", "banana", settings), "incorrect");
+});
+
+test("judgeAnswer treats a plural as close rather than a typo", () => {
+  const settings = { ...SETTINGS, typoTolerance: true };
+  assert.equal(judgeAnswer("bananas", "banana", settings), "close");
+  assert.equal(judgeAnswer("bananas", "banana", { ...settings, locale: "fr" }), "typo");
+  assert.equal(judgeAnswer("cherries", "cherry", { ...settings, closeGuessDistance: 0 }), "close");
+});
+
+test("judgeAnswer gives no close feedback with closeGuessDistance 0", () => {
+  const settings = { ...SETTINGS, closeGuessDistance: 0 };
+  assert.equal(judgeAnswer("aple", "apple", settings), "incorrect");
+  assert.equal(judgeAnswer("banan", "banana", { ...settings, typoTolerance: true }), "typo");
+  assert.equal(judgeAnswer("grape", "apple", SETTINGS), "incorrect");
+});
@@ -0,0 +1,106 @@
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import os from "node:os";
+import path from "node:path";
+import readline from "node:readline";
+import { fileURLToPath } from "node:url";
+import { io } from "socket.io-client";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const START_TIMEOUT_MS = 10_000;
+
+export const TEST_WORDS = ["apple", "banana", "cherry"];
+
+export const TEST_ENV = {
+  PORT: "0",
+  WORD_PROVIDER: "file",
+  WORDS_FILE: path.join(ROOT, "test/fixtures/words.txt"),
+  ROOM_SNAPSHOT_STORE: "none",
+  ROOM_STORE: "local",
+  SUPABASE_URL: "",
+  SESSION_SECRET: "test-session-secret",
+  ADMIN_AUDIT_LOG: os.devNull,
+  LOG_LEVEL: "info"
+};
+
+// Runs a server script in a child process and resolves once `instances`
+// servers in it are listening. Log lines are kept in `logs`.
+export async function startServer({ script = "src/server.mjs", instances = 1, env = {} } = {}) {
+  const child = spawn(process.execPath, [script], {
+    cwd: ROOT,
+    env: { ...process.env, ...TEST_ENV, ...env },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  const logs = [];
+  const listening = [];
+  let resolveReady;
+  const ready = new Promise((resolve) => {
+    resolveReady = resolve;
+  });
+
+  for (const stream of [child.stdout, child.stderr]) {
+    readline.createInterface({ input: stream }).on("line", (line) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        entry = { msg: line };
+      }
+      logs.push(entry);
+      if (entry.msg === "server.listening") {
+        listening.push(entry.port);
+        if (listening.length === instances) resolveReady();
+      }
+    });
+  }
+
+  const timer = setTimeout(() => child.kill("SIGKILL"), START_TIMEOUT_MS);
+  const exited = once(child, "exit").then(([code]) => {
+    throw new Error(`Server exited before listening (code ${code}): ${JSON.stringify(logs)}`);
+  });
+  try {
+    await Promise.race([ready, exited]);
+  } finally {
+    clearTimeout(timer);
+  }
+  exited.catch(() => {});
+
+  return {
+    logs,
+    urls: listening.map((port) => `http://127.0.0.1:${port}`),
+    url: `http://127.0.0.1:${listening[0]}`,
+    async stop() {
+      if (child.exitCode !== null) return;
+      child.kill("SIGTERM");
+      const killTimer = setTimeout(() => child.kill("SIGKILL"), START_TIMEOUT_MS);
+      await once(child, "exit");
+      clearTimeout(killTimer);
+    }
+  };
+}
+
+export async function connect(url) {
+  const socket = io(url, { transports: ["websocket"], forceNew: true, reconnection: false });
+  await once(socket, "connect");
+  return socket;
+}
+
+export function request(socket, event, payload = {}) {
+  return new Promise((resolve) => socket.emit(event, payload, resolve));
+}
+
+// Resolves with the next `event` payload that satisfies `matches`.
+export function nextEvent(socket, event, matches = () => true) {
+  return new Promise((resolve) => {
+    const listener = (payload) => {
+      if (!matches(payload)) return;
+      socket.off(event, listener);
+      resolve(payload);
+    };
+    socket.on(event, listener);
+  });
+}
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createSupabaseMatchStore } from "../src/match-store.mjs";
+
+// Records every write and fails inserts into the tables listed in `failing`.
+function createFakeSupabase({ failing = [] } = {}) {
+  const calls = [];
+  const db = {
+    from(table) {
+      return {
+        async insert(rows) {
+          calls.push(["insert", table]);
+          return { error: failing.includes(table) ? { message: `${table} rejected` } : null };
+        },
+        delete() {
+          return {
+            async eq(column, value) {
+              calls.push(["delete", table, column, value]);
+              return { error: null };
+            }
+          };
+        }
+      };
+    }
+  };
+  return { calls, client: { schema: () => db } };
+}
+
+const GAME = {
+  id: "7d0e3c1c-7a52-4d4e-9a59-0a4f8c1b2d3e",
+  roomCode: "ABCD",
+  settings: {},
+  endReason: "time_up",
+  startedAt: 1_700_000_000_000,
+  endedAt: 1_700_000_060_000,
+  players: [{ playerId: "p1", profileId: null, nickname: "ada", teamId: null, score: 10, rank: 1 }],
+  rounds: [{ roundIndex: 0, word: "apple", reason: "guessed", pointsAwarded: 10, solvers: [] }]
+};
+
+test("a saved game writes the game, its players and its rounds", async () => {
+  const supabase = createFakeSupabase();
+  await createSupabaseMatchStore(supabase.client).saveGame(GAME);
+  assert.deepEqual(supabase.calls, [
+    ["insert", "games"],
+    ["insert", "game_players"],
+    ["insert", "game_rounds"]
+  ]);
+});
+
+test("a failed round insert removes the game row again", async () => {
+  const supabase = createFakeSupabase({ failing: ["game_rounds"] });
+  await assert.rejects(createSupabaseMatchStore(supabase.client).saveGame(GAME), /Failed to save game rounds/);
+  assert.deepEqual(supabase.calls.at(-1), ["delete", "games", "id", GAME.id]);
+});
@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { connect, request, startServer } from "./helpers.mjs";
+
+let server;
+const sockets = [];
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  for (const socket of sockets) socket.disconnect();
+  await server.stop();
+});
+
+async function connectClient() {
+  const socket = await connect(server.url);
+  sockets.push(socket);
+  return socket;
+}
+
+async function createRoom() {
+  const host = await connectClient();
+  const created = await request(host, "room:create", { nickname: "host" });
+  assert.equal(created.ok, true);
+  return { host, roomCode: created.roomCode };
+}
+
+test("a kicked spectator cannot resume with their old session token", async () => {
+  const { host, roomCode } = await createRoom();
+  const spectator = await connectClient();
+  const joined = await request(spectator, "room:join", { roomCode, nickname: "watcher", asSpectator: true });
+  assert.equal(joined.role, "spectator");
+
+  assert.deepEqual(await request(host, "room:kick", { playerId: joined.spectatorId }), { ok: true });
+
+  const resumed = await request(spectator, "room:resume", { sessionToken: joined.sessionToken });
+  assert.equal(resumed.ok, false);
+  assert.equal(resumed.code, "SESSION_EXPIRED");
+
+  const rejoined = await request(spectator, "room:join", { roomCode, nickname: "watcher", asSpectator: true });
+  assert.equal(rejoined.ok, true);
+});
+
+test("a banned player cannot come back by dropping their profile token", async () => {
+  const { host, roomCode } = await createRoom();
+  const guest = await connectClient();
+  const joined = await request(guest, "room:join", { roomCode, nickname: "guest" });
+  assert.equal(joined.ok, true);
+
+  assert.deepEqual(await request(host, "room:ban", { playerId: joined.playerId }), { ok: true });
+
+  for (const payload of [
+    { roomCode, nickname: "guest2" },
+    { roomCode, nickname: "guest3", asSpectator: true }
+  ]) {
+    const reply = await request(guest, "room:join", payload);
+    assert.equal(reply.code, "BANNED");
+  }
+  const resumed = await request(guest, "room:resume", { sessionToken: joined.sessionToken });
+  assert.equal(resumed.code, "BANNED");
+
+  const elsewhere = await connectClient();
+  const withProfile = await request(elsewhere, "room:join", {
+    roomCode,
+    nickname: "guest4",
+    profileToken: joined.profileToken
+  });
+  assert.equal(withProfile.code, "BANNED");
+});
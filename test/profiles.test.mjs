@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+import { connect, request, startServer } from "./helpers.mjs";
+
+const servers = [];
+const sockets = [];
+
+after(async () => {
+  for (const socket of sockets) socket.disconnect();
+  await Promise.all(servers.map((server) => server.stop()));
+});
+
+async function start(env) {
+  const server = await startServer({ env });
+  servers.push(server);
+  return server;
+}
+
+async function connectClient(server) {
+  const socket = await connect(server.url);
+  sockets.push(socket);
+  return socket;
+}
+
+test("a profile token carries the profile into the next room", async () => {
+  const server = await start();
+  const first = await request(await connectClient(server), "room:create", { nickname: "ada" });
+  const second = await request(await connectClient(server), "room:create", {
+    nickname: "ada",
+    profileToken: first.profileToken
+  });
+  assert.equal(second.ok, true);
+  assert.equal(second.profileId, first.profileId);
+});
+
+test("a profile token that fails verification is rejected instead of replaced", async () => {
+  const server = await start();
+  const socket = await connectClient(server);
+  const created = await request(socket, "room:create", { nickname: "ada", profileToken: "not-a-token" });
+  assert.equal(created.ok, false);
+  assert.equal(created.code, "SESSION_INVALID");
+
+  const host = await connectClient(server);
+  const room = await request(host, "room:create", { nickname: "host" });
+  const [, signature] = room.profileToken.split(".");
+  const payload = Buffer.from(JSON.stringify({ kind: "profile", profileId: "someone-else" })).toString("base64url");
+  const forged = `${payload}.${signature}`;
+  const joined = await request(socket, "room:join", { roomCode: room.roomCode, nickname: "ada", profileToken: forged });
+  assert.equal(joined.code, "SESSION_INVALID");
+});
+
+test("the server warns at startup when SESSION_SECRET is unset", async () => {
+  const withSecret = await start();
+  const withoutSecret = await start({ SESSION_SECRET: "" });
+  const warned = (server) => server.logs.some((entry) => entry.msg === "session.secret_missing");
+  assert.equal(warned(withSecret), false);
+  assert.equal(warned(withoutSecret), true);
+});
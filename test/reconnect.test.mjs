@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { connect, nextEvent, request, sleep, startServer } from "./helpers.mjs";
+
+const RECONNECT_GRACE_MS = 1500;
+
+let server;
+
+before(async () => {
+  server = await startServer({ env: { RECONNECT_GRACE_MS: String(RECONNECT_GRACE_MS) } });
+});
+
+after(() => server.stop());
+
+async function startSoloGame() {
+  const socket = await connect(server.url);
+  const created = await request(socket, "room:create", { nickname: "solo" });
+  assert.equal(created.ok, true);
+  assert.deepEqual(await request(socket, "game:start"), { ok: true });
+  return { socket, created };
+}
+
+test("the only player can resume a game within the reconnect grace period", async () => {
+  const { socket, created } = await startSoloGame();
+  socket.disconnect();
+  await sleep(RECONNECT_GRACE_MS / 3);
+
+  const resumed = await connect(server.url);
+  const reply = await request(resumed, "room:resume", { sessionToken: created.sessionToken });
+  assert.equal(reply.ok, true);
+  assert.equal(reply.role, "player");
+  assert.equal(reply.playerId, created.playerId);
+  assert.equal(reply.status, "in_game");
+  assert.ok(reply.round);
+
+  await sleep(RECONNECT_GRACE_MS);
+  const players = (await request(resumed, "room:resume", { sessionToken: created.sessionToken })).players;
+  assert.deepEqual(
+    players.map((player) => [player.id, player.connected]),
+    [[created.playerId, true]]
+  );
+  resumed.disconnect();
+});
+
+test("the game ends and the room closes once the grace period runs out", async () => {
+  const { socket, created } = await startSoloGame();
+  socket.disconnect();
+  await sleep(RECONNECT_GRACE_MS + 500);
+
+  const late = await connect(server.url);
+  const reply = await request(late, "room:resume", { sessionToken: created.sessionToken });
+  assert.equal(reply.ok, false);
+  assert.equal(reply.code, "ROOM_NOT_FOUND");
+  late.disconnect();
+});
+
+test("a player who drops in the lobby frees their seat and the host role at once", async () => {
+  const host = await connect(server.url);
+  const guest = await connect(server.url);
+  const created = await request(host, "room:create", { nickname: "host" });
+  await request(host, "room:updateSettings", { settings: { maxPlayers: 2 } });
+  const joined = await request(guest, "room:join", { roomCode: created.roomCode, nickname: "guest" });
+  assert.equal(joined.ok, true);
+
+  host.disconnect();
+  await sleep(100);
+
+  const late = await connect(server.url);
+  const lobby = nextEvent(guest, "room:state", (state) => state.players.length === 2);
+  const lateJoin = await request(late, "room:join", { roomCode: created.roomCode, nickname: "late" });
+  assert.equal(lateJoin.ok, true);
+  assert.deepEqual(
+    (await lobby).players.map((player) => [player.nickname, player.isHost]),
+    [
+      ["guest", true],
+      ["late", false]
+    ]
+  );
+  assert.deepEqual(await request(guest, "game:start"), { ok: true });
+
+  const returning = await connect(server.url);
+  const resumed = await request(returning, "room:resume", { sessionToken: created.sessionToken });
+  assert.equal(resumed.ok, false);
+  for (const socket of [guest, late, returning]) socket.disconnect();
+});
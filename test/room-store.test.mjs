@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { TEST_WORDS, connect, nextEvent, request, startServer } from "./helpers.mjs";
+
+const ADMIN_TOKEN = "test-admin-token";
+
+let cluster;
+const sockets = [];
+
+before(async () => {
+  cluster = await startServer({
+    script: "test/fixtures/memory-cluster.mjs",
+    instances: 2,
+    env: { ROOM_STORE: "memory", ADMIN_TOKEN }
+  });
+});
+
+after(async () => {
+  for (const socket of sockets) socket.disconnect();
+  await cluster.stop();
+});
+
+async function connectTo(url) {
+  const socket = await connect(url);
+  sockets.push(socket);
+  return socket;
+}
+
+async function admin(url, path) {
+  const response = await fetch(`${url}/admin${path}`, {
+    headers: { authorization: `Bearer ${ADMIN_TOKEN}` }
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("a join and a guess reach the instance that owns the room", async () => {
+  const [ownerUrl, otherUrl] = cluster.urls;
+  const host = await connectTo(ownerUrl);
+  const guest = await connectTo(otherUrl);
+
+  const created = await request(host, "room:create", { nickname: "host" });
+  assert.equal(created.ok, true);
+
+  const hostSeesGuest = nextEvent(host, "room:state", (state) => state.players.length === 2);
+  const joined = await request(guest, "room:join", { roomCode: created.roomCode, nickname: "guest" });
+  assert.equal(joined.ok, true);
+  assert.equal(joined.roomCode, created.roomCode);
+  assert.deepEqual(
+    (await hostSeesGuest).players.map((player) => player.nickname),
+    ["host", "guest"]
+  );
+
+  const round = nextEvent(guest, "game:round");
+  assert.deepEqual(await request(host, "game:start"), { ok: true });
+  await round;
+
+  const solved = nextEvent(guest, "game:guessResult", (result) => result.status === "correct");
+  for (const word of TEST_WORDS) {
+    guest.emit("game:guess", { guess: word });
+  }
+  const result = await solved;
+  assert.ok(TEST_WORDS.includes(result.word));
+  assert.ok(result.points > 0);
+});
+
+test("admin room lookups see rooms owned by other instances", async () => {
+  const [ownerUrl, otherUrl] = cluster.urls;
+  const host = await connectTo(ownerUrl);
+  const created = await request(host, "room:create", { nickname: "owner" });
+
+  const listed = await admin(otherUrl, "/rooms");
+  assert.equal(listed.status, 200);
+  assert.ok(listed.body.rooms.some((room) => room.roomCode === created.roomCode));
+
+  const inspected = await admin(otherUrl, `/rooms/${created.roomCode.toLowerCase()}`);
+  assert.equal(inspected.status, 200);
+  assert.equal(inspected.body.room.roomCode, created.roomCode);
+  assert.equal(inspected.body.room.players[0].nickname, "owner");
+
+  const missing = await admin(otherUrl, "/rooms/ZZZZZZ");
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { createJsonWordProvider } from "../src/word-providers.mjs";
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "worddash-words-"));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+async function jsonProvider(rows) {
+  const filePath = path.join(dir, `${crypto.randomUUID()}.json`);
+  await fs.writeFile(filePath, JSON.stringify(rows));
+  return createJsonWordProvider(filePath);
+}
+
+test("a JSON words file loads its rows", async () => {
+  const provider = await jsonProvider({
+    words: [
+      { word: "apple", hint: "A red fruit", category: "food", difficulty: 1 },
+      { word: "banana", hint: "A yellow fruit" }
+    ]
+  });
+  assert.deepEqual(await provider.loadWords(), [
+    { word: "apple", hint: "A red fruit", length: 5, category: "food", difficulty: 1, locale: null },
+    { word: "banana", hint: "A yellow fruit", length: 6, category: null, difficulty: null, locale: null }
+  ]);
+});
+
+test("a JSON words file with malformed rows is rejected with the rows named", async () => {
+  const provider = await jsonProvider([
+    { word: "apple", hint: "A red fruit" },
+    { word: "banana" },
+    "cherry",
+    { word: " ", hint: "Blank" }
+  ]);
+  await assert.rejects(provider.loadWords(), (error) => {
+    assert.match(error.message, /Row 2: "hint" must be a non-empty string for word "banana"/);
+    assert.match(error.message, /Row 3: expected an object/);
+    assert.match(error.message, /Row 4: "word" must be a non-empty string/);
+    return true;
+  });
+});
+
+test("JSON row locales are canonicalized and invalid tags rejected", async () => {
+  const valid = await jsonProvider([{ word: "maçã", hint: "Uma fruta", locale: "pt-br" }]);
+  assert.equal((await valid.loadWords())[0].locale, "pt-BR");
+
+  const invalid = await jsonProvider([{ word: "apple", hint: "A red fruit", locale: "not a locale" }]);
+  await assert.rejects(invalid.loadWords(), /Row 1: "locale" must be a language tag/);
+});